@@ -2,6 +2,7 @@ const { spawn } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const pdmanager = require('pipedreammanager');
 const configManager = require('./config-manager');
 
 class PdManagerClient {
@@ -32,7 +33,9 @@ class PdManagerClient {
         if (code === 0) {
           resolve(stdout.trim());
         } else {
-          reject(new Error(`pdmanager exited with code ${code}: ${stderr}`));
+          const error = new Error(`pdmanager exited with code ${code}: ${stderr}`);
+          error.stdout = stdout.trim();
+          reject(error);
         }
       });
       
@@ -42,18 +45,58 @@ class PdManagerClient {
     });
   }
 
-  // Create a new project in Pipedream
+  // Execute pdmanager command with --json and return the parsed result object
+  async executeJsonCommand(command, args = []) {
+    let output;
+    
+    try {
+      output = await this.executeCommand('--json', [command, ...args]);
+    } catch (error) {
+      // Failed runs still print a JSON object with the error message
+      const result = this._parseJsonOutput(error.stdout || '');
+      throw result && result.error ? new Error(result.error) : error;
+    }
+    
+    const result = this._parseJsonOutput(output);
+    if (!result) {
+      throw new Error('Could not parse JSON output from pdmanager');
+    }
+    
+    if (result.success === false) {
+      throw new Error(result.error || 'pdmanager command failed');
+    }
+    
+    return result;
+  }
+
+  // Parse the single JSON object pdmanager writes to stdout in --json mode
+  _parseJsonOutput(output) {
+    try {
+      return JSON.parse(output);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Options shared by all pdmanager library calls
+  _libraryOptions(options = {}) {
+    return {
+      apiKey: configManager.get('pipedream.api_key') || undefined,
+      ...options
+    };
+  }
+
+  // Create a new project in Pipedream. Project creation drives a browser, so
+  // it runs the pdmanager CLI instead of the library
   async createProject(projectName) {
     try {
-      const result = await this.executeCommand('create-project', [projectName]);
+      const result = await this.executeJsonCommand('create-project', ['--name', projectName]);
       
-      // Extract project ID from the output
-      const match = result.match(/Project created with ID: ([a-zA-Z0-9_]+)/);
-      if (match && match[1]) {
-        return match[1]; // Return the project ID
-      } else {
-        throw new Error('Could not parse project ID from pdmanager output');
+      if (!result.project_id) {
+        throw new Error('pdmanager did not return a project ID');
       }
+      
+      return result.project_id;
     } catch (error) {
       console.error(chalk.red('Error creating project:'), error.message);
       throw error;
@@ -62,21 +105,13 @@ class PdManagerClient {
 
   // Create a new workflow in Pipedream
   async createWorkflow(workflowName, projectId = null) {
-    const args = [workflowName];
-    if (projectId) {
-      args.push('--project', projectId);
-    }
-    
     try {
-      const result = await this.executeCommand('create-workflow', args);
+      const result = await pdmanager.createWorkflow(this._libraryOptions({
+        name: workflowName,
+        project: projectId || undefined
+      }));
       
-      // Extract workflow ID from the output
-      const match = result.match(/Workflow created with ID: ([a-zA-Z0-9_]+)/);
-      if (match && match[1]) {
-        return match[1]; // Return the workflow ID
-      } else {
-        throw new Error('Could not parse workflow ID from pdmanager output');
-      }
+      return result.workflow_id;
     } catch (error) {
       console.error(chalk.red('Error creating workflow:'), error.message);
       throw error;
@@ -86,41 +121,25 @@ class PdManagerClient {
   // List existing workflows
   async listWorkflows() {
     try {
-      const result = await this.executeCommand('list-workflows');
-      return this._parseListOutput(result);
+      const result = await pdmanager.listWorkflows(this._libraryOptions());
+      return (result.workflows || []).map(workflow => ({
+        id: workflow.id,
+        name: workflow.name
+      }));
     } catch (error) {
       console.error(chalk.red('Error listing workflows:'), error.message);
       throw error;
     }
   }
 
-  // Parse list output into structured data
-  _parseListOutput(output) {
-    const lines = output.split('\n');
-    const items = [];
-    
-    for (const line of lines) {
-      // Extract ID and name from lines like "p_abc123 - My Workflow"
-      const match = line.match(/^([a-zA-Z0-9_]+)\s+-\s+(.+)$/);
-      if (match) {
-        items.push({
-          id: match[1],
-          name: match[2]
-        });
-      }
-    }
-    
-    return items;
-  }
-
   // Update a workflow
   async updateWorkflow(workflowId, workflowJsonPath, codeJsPath) {
     try {
-      return await this.executeCommand('update-workflow', [
-        '--id', workflowId,
-        '--workflow-json', workflowJsonPath,
-        '--code-js', codeJsPath
-      ]);
+      return await pdmanager.push(this._libraryOptions({
+        id: workflowId,
+        workflowJson: workflowJsonPath,
+        codeJs: codeJsPath
+      }));
     } catch (error) {
       console.error(chalk.red('Error updating workflow:'), error.message);
       throw error;
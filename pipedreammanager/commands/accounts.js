@@ -0,0 +1,154 @@
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, ValidationError } = require('../lib/errors');
+const { printTable } = require('../lib/table');
+const { findWorkflowDir, readWorkflowJson, writeWorkflowJson } = require('../lib/workflow-files');
+const {
+  bindAccount,
+  checkAccounts,
+  fetchAccounts,
+  fetchRegistryApps,
+  stepAccounts,
+  stepApp
+} = require('../lib/accounts');
+require('dotenv').config();
+
+// Connected accounts hold the credentials app steps run with. pdmanager only
+// reads them (GET /users/me/accounts, without credentials); accounts are
+// connected in the Pipedream UI.
+
+// List the connected accounts of the workspace, optionally of one app
+async function listAccounts(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const logger = getLogger(options);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  logger.log(options.app ? `Fetching ${options.app} accounts...` : 'Fetching connected accounts...');
+  const accounts = await fetchAccounts(client, orgId, { app: options.app });
+
+  return {
+    org_id: orgId,
+    ...(options.app ? { app: options.app } : {}),
+    accounts
+  };
+}
+
+// Bind a connected account to the app prop of a step in the local
+// workflow.json. The account must exist and belong to the step's app; the
+// binding is deployed with push.
+async function bindStepAccount(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (!options.account) {
+    throw new ValidationError('Account ID is required');
+  }
+  if (!options.step) {
+    throw new ValidationError('Step name is required. Provide it with --step <name>');
+  }
+
+  const workflowDir = await findWorkflowDir({ id: options.workflow, cwd });
+  const metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+  if (!metadata) {
+    throw new ConfigurationError('Workflow directory not found. Provide --workflow <id> from the project directory, or run this command from a workflow directory.');
+  }
+
+  const steps = metadata.steps || [];
+  const index = steps.findIndex(step => step.name === options.step);
+  if (index === -1) {
+    throw new ValidationError(`Step "${options.step}" not found in ${path.join(workflowDir, 'workflow.json')}. Steps: ${steps.map(step => step.name).join(', ') || 'none (run pull first)'}`);
+  }
+
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || metadata.org_id });
+
+  logger.log(`Looking up account ${options.account}...`);
+  const accounts = await fetchAccounts(client, orgId);
+  const account = accounts.find(candidate => candidate.id === options.account);
+  if (!account) {
+    throw new ValidationError(`Account ${options.account} is not connected in this workspace. See "pdmanager accounts list".`);
+  }
+
+  const step = steps[index];
+  const prop = options.prop || stepApp(step) || account.app;
+  const previous = stepAccounts(step).find(binding => binding.prop === prop);
+  const bound = bindAccount(step, account.id, prop);
+
+  const errors = checkAccounts([bound], accounts, await fetchRegistryApps(client, [step])).filter(problem => problem.level === 'error');
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(problem => problem.message).join('\n'));
+  }
+
+  metadata.steps = steps.map((candidate, i) => (i === index ? bound : candidate));
+  await writeWorkflowJson(workflowDir, metadata);
+
+  return {
+    workflow_id: metadata.id,
+    workflow_dir: workflowDir,
+    step: step.name,
+    prop,
+    account,
+    previous_account_id: previous ? previous.account_id : null
+  };
+}
+
+// CLI action for accounts list
+async function listAccountsCommand(options) {
+  await runCommand(async () => {
+    const result = await listAccounts(cliOptions(options));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (result.accounts.length === 0) {
+      console.log(result.app ? `No ${result.app} accounts connected.` : 'No connected accounts found.');
+      return result;
+    }
+
+    console.log('');
+    printTable(result.accounts.map(account => ({
+      ...account,
+      healthy: account.healthy ? 'yes' : 'reconnect'
+    })), [
+      { key: 'app', header: 'APP' },
+      { key: 'id', header: 'ID' },
+      { key: 'name', header: 'NAME' },
+      { key: 'healthy', header: 'HEALTHY' }
+    ]);
+    console.log(`\n${result.accounts.length} account(s)`);
+
+    return result;
+  });
+}
+
+// CLI action for accounts bind
+async function bindStepAccountCommand(account, options) {
+  await runCommand(async () => {
+    const result = await bindStepAccount(cliOptions({ ...options, account }));
+
+    if (!isJsonMode()) {
+      console.log(`\n✅ Step "${result.step}" uses ${result.account.app || 'account'} ${result.account.id}${result.account.name ? ` (${result.account.name})` : ''} for prop ${result.prop}`);
+      if (result.previous_account_id && result.previous_account_id !== result.account.id) {
+        console.log(`   - Replaced ${result.previous_account_id}`);
+      }
+      if (!result.account.healthy) {
+        console.log('⚠️  The account needs to be reconnected in Pipedream before the step can run.');
+      }
+      console.log('\nRun "pdmanager push" to deploy the change.\n');
+    }
+
+    return result;
+  });
+}
+
+module.exports = {
+  listAccounts,
+  bindStepAccount,
+  listAccountsCommand,
+  bindStepAccountCommand
+};
@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const {
+  fileExists,
+  findWorkflowDir,
+  hashWorkflow,
+  normalizeWorkflow,
+  localToWorkflow,
+  toApiSteps,
+  readLocalWorkflow,
+  writeLocalWorkflow
+} = require('../lib/workflow-files');
+const { bindAccount, fetchAccounts, stepApp, verifyAccounts } = require('../lib/accounts');
+const { listSteps } = require('./list-steps');
+require('dotenv').config();
+
+async function readProps(propsPath, cwd) {
+  if (!propsPath) {
+    return {};
+  }
+
+  let props;
+  try {
+    props = JSON.parse(await fs.readFile(path.resolve(cwd, propsPath), 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Could not read props from ${propsPath}: ${error.message}`);
+  }
+
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    throw new ValidationError(`Props in ${propsPath} must be a JSON object`);
+  }
+
+  return props;
+}
+
+// Index to insert the new step at: --position (1-based), after --after, or at the end
+function resolveInsertIndex(steps, options) {
+  if (options.position !== undefined && options.after) {
+    throw new ValidationError('Use either --position or --after, not both');
+  }
+
+  if (options.after) {
+    const index = steps.findIndex(step => step.name === options.after);
+    if (index === -1) {
+      throw new ValidationError(`Step "${options.after}" not found. Steps: ${steps.map(step => step.name).join(', ') || 'none'}`);
+    }
+    return index + 1;
+  }
+
+  if (options.position !== undefined) {
+    const position = parseInt(options.position, 10);
+    if (!(position >= 1 && position <= steps.length + 1)) {
+      throw new ValidationError(`--position must be between 1 and ${steps.length + 1}`);
+    }
+    return position - 1;
+  }
+
+  return steps.length;
+}
+
+// Insert before the step that follows the anchor in the remote list, so the
+// local copy gets the step at the same place even if it has extra steps
+function insertLocalStep(localSteps, remoteSteps, index, step) {
+  const next = remoteSteps[index];
+  const localIndex = next ? localSteps.findIndex(candidate => candidate.name === next.name) : -1;
+  const steps = [...localSteps];
+
+  steps.splice(localIndex === -1 ? steps.length : localIndex, 0, step);
+  return steps;
+}
+
+// Add a step to a deployed workflow: a registry component (options.component)
+// or a component file from workflows/<id>/components/<name>.js (options.local),
+// which is uploaded first. options.account binds a connected account to the
+// step's app prop. Updates the local workflow files when present.
+async function addStep(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (Boolean(options.component) === Boolean(options.local)) {
+    throw new ValidationError('Provide either --component <key> or --local <name>');
+  }
+
+  const stepName = options.name || options.local;
+  if (!stepName) {
+    throw new ValidationError('Step name is required. Provide it with --name <step>');
+  }
+
+  const props = await readProps(options.props, cwd);
+  const client = requireApiClient(options);
+
+  // Ignore a workflow directory we happen to be in when it's another workflow
+  let workflowDir = await findWorkflowDir({ id: options.workflow, cwd });
+  let localFiles = workflowDir ? await readLocalWorkflow(workflowDir) : null;
+  if (localFiles && options.workflow && localFiles.metadata.id !== options.workflow) {
+    workflowDir = null;
+    localFiles = null;
+  }
+  const workflowId = options.workflow || (localFiles && localFiles.metadata.id);
+
+  if (!workflowId) {
+    throw new ConfigurationError('Workflow ID is required. Provide --workflow <id> or run this command from a workflow directory.');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || (localFiles && localFiles.metadata.org_id) });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  logger.log(`Fetching workflow ${workflowId}...`);
+  const remoteResponse = await client.getWorkflow(workflowId, orgId);
+
+  if (!remoteResponse || !remoteResponse.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const remote = normalizeWorkflow({ id: workflowId, ...remoteResponse.data });
+
+  if (remote.steps.some(step => step.name === stepName)) {
+    throw new ValidationError(`The workflow already has a step named "${stepName}"`);
+  }
+
+  const index = resolveInsertIndex(remote.steps, options);
+  const step = { name: stepName, type: 'action', props, code: null };
+
+  if (options.component) {
+    step.component_key = options.component;
+  } else {
+    // Local components are uploaded as private components of the workspace
+    const componentFile = path.join('components', `${options.local}.js`);
+    const componentPath = workflowDir ? path.join(workflowDir, componentFile) : null;
+
+    if (!componentPath || !await fileExists(componentPath)) {
+      throw new ConfigurationError(`Component file not found: ${path.join('workflows', workflowId, componentFile)}`);
+    }
+
+    logger.log(`Uploading component ${componentFile}...`);
+    const component = await client.createComponent(await fs.readFile(componentPath, 'utf8'), orgId);
+    const componentData = (component && component.data) || {};
+
+    if (!componentData.key && !componentData.id) {
+      throw new PdManagerError('Failed to upload component');
+    }
+
+    step.component_key = componentData.key || componentData.id;
+    step.component_file = componentFile;
+  }
+
+  if (options.account) {
+    const account = (await fetchAccounts(client, orgId)).find(candidate => candidate.id === options.account);
+    if (!account) {
+      throw new ValidationError(`Account ${options.account} is not connected in this workspace. See "pdmanager accounts list".`);
+    }
+    Object.assign(step, bindAccount(step, account.id, stepApp(step) || account.app));
+  }
+
+  if (options.accountCheck !== false) {
+    await verifyAccounts(client, orgId, [{ name: remote.name, steps: [step] }], logger);
+  }
+
+  const steps = [...remote.steps];
+  steps.splice(index, 0, step);
+
+  logger.log(`Adding step "${stepName}" at position ${index + 1}...`);
+  await client.updateWorkflow(workflowId, {
+    org_id: orgId,
+    steps: toApiSteps(steps)
+  });
+
+  const updated = await client.getWorkflow(workflowId, orgId);
+
+  // Keep local edits; only record the new step and, when the local copy was
+  // in sync with the remote before, the new remote state
+  let localUpdated = false;
+  if (localFiles) {
+    const local = localToWorkflow(localFiles);
+    const sync = localFiles.metadata.sync || {};
+    const wasInSync = sync.remote_hash === hashWorkflow(remoteResponse.data);
+
+    await writeLocalWorkflow(workflowDir, { ...local, steps: insertLocalStep(local.steps, remote.steps, index, step) }, {
+      sync: wasInSync
+        ? {
+          ...sync,
+          pushed_at: new Date().toISOString(),
+          remote_updated_at: (updated.data && updated.data.updated_at) || null,
+          remote_hash: hashWorkflow(updated.data)
+        }
+        : sync
+    });
+    localUpdated = true;
+  }
+
+  return {
+    workflow_id: workflowId,
+    org_id: orgId,
+    step: {
+      name: stepName,
+      position: index + 1,
+      component_key: step.component_key,
+      ...(step.component_file ? { component_file: step.component_file } : {}),
+      props: step.props
+    },
+    local_updated: localUpdated
+  };
+}
+
+// CLI action for add-step
+async function addStepCommand(options) {
+  await runCommand(async () => {
+    const result = await addStep(cliOptions(options));
+
+    console.log('\n' + '-'.repeat(50));
+    console.log(`✅ Step "${result.step.name}" added at position ${result.step.position}`);
+    console.log(`   - Component: ${result.step.component_key}`);
+    if (result.local_updated) {
+      console.log('   - Local workflow.json updated');
+    }
+    console.log('-'.repeat(50));
+
+    // Show the updated step list, numbered like --position. The step is
+    // already added, so failing to read the list back is only a warning.
+    let steps;
+    try {
+      ({ steps } = await listSteps({ apiKey: options.apiKey, workflow: result.workflow_id, org: result.org_id }));
+    } catch (error) {
+      console.error(`⚠️  Could not list the steps of ${result.workflow_id}: ${error.message}. Run "pdmanager list-steps --workflow ${result.workflow_id}" to see them.`);
+      return result;
+    }
+
+    console.log('\nSteps:');
+    steps.filter(step => !step.type.includes('Trigger')).forEach((step, index) => {
+      console.log(`${index + 1}. ${step.name} [${step.type}]${step.name === result.step.name ? '  <- new' : ''}`);
+    });
+    console.log('');
+
+    return { ...result, steps };
+  });
+}
+
+module.exports = { addStep, addStepCommand };
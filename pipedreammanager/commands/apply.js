@@ -0,0 +1,210 @@
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { getLogger } = require('../lib/output');
+const { cliOptions, confirmTyped, runCommand } = require('../lib/cli');
+const { PdManagerError, ValidationError } = require('../lib/errors');
+const { buildTriggerComponent } = require('../lib/triggers');
+const { verifyAccounts } = require('../lib/accounts');
+const {
+  hashWorkflow,
+  normalizeWorkflow,
+  toApiSteps,
+  writeLocalWorkflow
+} = require('../lib/workflow-files');
+const { computePlan, planResult, printPlan } = require('./plan');
+const {
+  planLocalCleanup,
+  applyLocalCleanup,
+  printCleanupPlan,
+  confirmDeletion
+} = require('./delete-workflow');
+require('dotenv').config();
+
+// Write the deployed state of a workflow into workflows/<id>/ with a fresh
+// sync record, so a later push or pull starts from what apply deployed
+async function writeSyncedWorkflow(client, workflowId, target, fallbackData = {}) {
+  const response = await client.getWorkflow(workflowId, target.orgId);
+  const remoteData = (response && response.data) || fallbackData;
+
+  await writeLocalWorkflow(path.join(target.projectDir, 'workflows', workflowId), normalizeWorkflow({ id: workflowId, ...remoteData }), {
+    project_id: target.projectId,
+    org_id: target.orgId,
+    sync: {
+      pulled_at: new Date().toISOString(),
+      remote_updated_at: remoteData.updated_at || null,
+      remote_hash: hashWorkflow(remoteData)
+    }
+  });
+}
+
+// Create a manifest workflow and write its local workflows/<id>/ directory
+async function createFromManifest(client, desired, target) {
+  const workflowData = {
+    project_id: target.projectId,
+    org_id: target.orgId,
+    settings: {
+      name: desired.name,
+      description: desired.description,
+      auto_deploy: true
+    },
+    steps: toApiSteps(desired.steps)
+  };
+
+  const trigger = desired.triggers[0];
+  const triggerComponent = trigger && buildTriggerComponent(trigger, desired.name);
+  if (triggerComponent) {
+    workflowData.components = [triggerComponent];
+  }
+
+  if (desired.active !== undefined) {
+    workflowData.active = desired.active;
+  }
+
+  const created = await client.createWorkflow(workflowData);
+  if (!created || !created.data || !created.data.id) {
+    throw new PdManagerError('Failed to create workflow');
+  }
+
+  const workflowId = created.data.id;
+  await writeSyncedWorkflow(client, workflowId, target, created.data);
+
+  return workflowId;
+}
+
+// Send the manifest's settings and steps, plus the trigger and active state
+// when they changed, and refresh the local workflows/<id>/ directory
+async function updateFromManifest(client, action, target) {
+  const { desired, diff } = action;
+  const workflowData = {
+    org_id: target.orgId,
+    settings: {
+      name: desired.name,
+      description: desired.description
+    },
+    steps: toApiSteps(desired.steps)
+  };
+
+  if (diff.trigger && desired.triggers[0]) {
+    workflowData.components = [buildTriggerComponent(desired.triggers[0], desired.name)];
+  }
+
+  if (diff.active) {
+    workflowData.active = desired.active;
+  }
+
+  await client.updateWorkflow(action.workflow_id, workflowData);
+  await writeSyncedWorkflow(client, action.workflow_id, target);
+}
+
+// Make the remote project match pipedream.yaml: compute the plan, then
+// create, update and (with options.prune) delete workflows. Deletions need
+// options.yes or the options.confirm callback, like delete-workflow. Nothing
+// is applied while a created or updated workflow lacks a connected account,
+// unless options.accountCheck is false.
+async function apply(options = {}) {
+  const logger = getLogger(options);
+
+  if (options.archive && options.keepLocal) {
+    throw new ValidationError('--archive and --keep-local cannot be used together');
+  }
+
+  const computed = await computePlan(options);
+  printPlan(computed, logger);
+
+  const result = { ...planResult(computed), applied: [], failed: [] };
+  const pending = computed.actions.filter(action => ['create', 'update', 'delete'].includes(action.action));
+
+  if (pending.length === 0) {
+    logger.log('\nNothing to apply: the project matches the manifest.');
+    return result;
+  }
+
+  const client = requireApiClient(options);
+
+  if (options.accountCheck !== false) {
+    logger.log('');
+    const warnings = await verifyAccounts(client, computed.org_id, pending.filter(action => action.desired).map(action => action.desired), logger);
+    if (warnings.length > 0) {
+      result.account_warnings = warnings.map(warning => warning.message);
+    }
+  }
+
+  const deletions = pending.filter(action => action.action === 'delete');
+  const cleanup = await planLocalCleanup(computed.project_dir, {
+    workflows: deletions.map(action => action.workflow_id),
+    projects: []
+  }, options);
+
+  if (deletions.length > 0) {
+    if (cleanup.workflow_dirs.length > 0 || cleanup.config_entries.length > 0) {
+      logger.log('\nLocal files of the deleted workflows:');
+      printCleanupPlan(cleanup, logger);
+    }
+    logger.log('');
+
+    if (!await confirmDeletion(options, computed.project_id, `This permanently deletes ${deletions.length} workflow(s) from project ${computed.project_id}.`)) {
+      return { ...result, cancelled: true };
+    }
+  }
+
+  const target = { projectId: computed.project_id, orgId: computed.org_id, projectDir: computed.project_dir };
+
+  logger.log(`\nApplying ${pending.length} change(s):`);
+  logger.log('-'.repeat(50));
+
+  for (const action of pending) {
+    try {
+      let workflowId = action.workflow_id;
+
+      if (action.action === 'create') {
+        workflowId = await createFromManifest(client, action.desired, target);
+      } else if (action.action === 'update') {
+        await updateFromManifest(client, action, target);
+      } else {
+        await client.deleteWorkflow(workflowId, target.orgId);
+      }
+
+      result.applied.push({ action: action.action, name: action.name, workflow_id: workflowId });
+      logger.log(`✅ ${action.action} ${action.name} (${workflowId})`);
+    } catch (error) {
+      logger.error(`❌ ${action.action} ${action.name}: ${error.message}`);
+      result.failed.push({ action: action.action, name: action.name, workflow_id: action.workflow_id, error: error.message });
+    }
+  }
+
+  logger.log('-'.repeat(50));
+
+  // Only clean up after workflows that were actually deleted; config.ini is
+  // left alone when any deletion failed
+  const deleted = new Set(result.applied.filter(entry => entry.action === 'delete').map(entry => entry.workflow_id));
+  result.archived = await applyLocalCleanup({
+    ...cleanup,
+    workflow_dirs: cleanup.workflow_dirs.filter(({ id }) => deleted.has(id)),
+    config_entries: deleted.size === deletions.length ? cleanup.config_entries : []
+  });
+
+  return result;
+}
+
+// CLI action for apply
+async function applyCommand(options) {
+  await runCommand(async () => {
+    const result = await apply({ ...cliOptions(options), confirm: confirmTyped });
+
+    if (result.cancelled) {
+      throw new PdManagerError('Confirmation did not match. Nothing was applied.');
+    }
+
+    if (result.applied.length > 0) {
+      console.log(`\n✅ Applied ${result.applied.length} change(s) to project ${result.project_id}\n`);
+    }
+
+    if (result.failed.length > 0) {
+      throw new PdManagerError(`Failed to apply ${result.failed.length} change(s): ${result.failed.map(failure => failure.name).join(', ')}`);
+    }
+
+    return result;
+  });
+}
+
+module.exports = { apply, applyCommand };
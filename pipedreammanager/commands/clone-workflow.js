@@ -0,0 +1,189 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { buildTriggerComponent } = require('../lib/triggers');
+const { getProjectIdFromConfig, resolveProject } = require('../lib/project-config');
+const {
+  ensureDir,
+  fileExists,
+  findWorkflowDir,
+  hashWorkflow,
+  normalizeWorkflow,
+  readWorkflowJson,
+  remapIds,
+  toApiSteps,
+  writeLocalWorkflow,
+  writeWorkflowJson
+} = require('../lib/workflow-files');
+require('dotenv').config();
+
+const FIXTURES_DIR = path.join('tests', 'fixtures');
+
+// Copy a deployed workflow into the same or another project (options.toProject):
+// its steps, trigger configuration and execution settings. The copy starts
+// paused unless options.active is set, so a copied schedule or app trigger
+// doesn't run twice. Its local folder is written to workflows/<new-id>/ of the
+// project directory (options.toDir, or the one of the source workflow), with
+// the test fixtures of the source when options.fixtures is set.
+async function cloneWorkflow(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  // Ignore a workflow directory we happen to be in when it's another workflow
+  let sourceDir = await findWorkflowDir({ id: options.workflow, cwd });
+  let metadata = sourceDir ? await readWorkflowJson(sourceDir) : null;
+  if (metadata && options.workflow && metadata.id !== options.workflow) {
+    sourceDir = null;
+    metadata = null;
+  }
+  const sourceId = options.workflow || (metadata && metadata.id);
+
+  if (!sourceId) {
+    throw new ConfigurationError('Workflow ID is required. Provide it as an argument or run this command from a workflow directory.');
+  }
+
+  const sourceFixtures = sourceDir && path.join(sourceDir, FIXTURES_DIR);
+  if (options.fixtures && !(sourceFixtures && await fileExists(sourceFixtures))) {
+    throw new ConfigurationError(`No test fixtures found for ${sourceId}. Expected ${path.join('workflows', sourceId, FIXTURES_DIR)}; pull the workflow or drop --fixtures.`);
+  }
+
+  const projectDir = options.toDir
+    ? path.resolve(cwd, options.toDir)
+    : (sourceDir ? path.dirname(path.dirname(sourceDir)) : (await resolveProject(cwd)).projectDir);
+
+  // A copy in another project goes to that project's directory
+  if (options.toProject) {
+    const dirProjectId = await getProjectIdFromConfig(projectDir) || (!options.toDir && metadata && metadata.project_id);
+    if (dirProjectId && dirProjectId !== options.toProject) {
+      throw new ValidationError(`${projectDir} is the directory of project ${dirProjectId}. Pass --to-dir <path> with the directory of project ${options.toProject}.`);
+    }
+  }
+
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || (metadata && metadata.org_id) });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  logger.log(`Fetching workflow ${sourceId}...`);
+  const response = await client.getWorkflow(sourceId, orgId);
+  if (!response || !response.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const source = normalizeWorkflow({ id: sourceId, ...response.data });
+  const sourceProjectId = source.project_id || (metadata && metadata.project_id) || null;
+  const projectId = options.toProject || sourceProjectId || await getProjectIdFromConfig(projectDir);
+  if (!projectId) {
+    throw new ConfigurationError('Target project ID is required. Provide it with --to-project <id>.');
+  }
+
+  const name = options.name || `${source.name} (copy)`;
+  // The trigger path only exists in the local workflow.json
+  const trigger = source.triggers[0] && {
+    ...source.triggers[0],
+    ...(metadata && metadata.trigger && metadata.trigger.path ? { path: metadata.trigger.path } : {})
+  };
+
+  const workflowData = {
+    project_id: projectId,
+    org_id: orgId,
+    settings: {
+      auto_deploy: true,
+      ...source.settings,
+      name,
+      description: source.description
+    },
+    steps: toApiSteps(source.steps),
+    active: Boolean(options.active)
+  };
+
+  const triggerComponent = trigger && buildTriggerComponent(trigger, name);
+  if (triggerComponent) {
+    workflowData.components = [triggerComponent];
+  }
+
+  logger.log(`Creating "${name}" in project ${projectId}...`);
+  const created = await client.createWorkflow(workflowData);
+  if (!created || !created.data || !created.data.id) {
+    throw new PdManagerError('Failed to create workflow');
+  }
+
+  const workflowId = created.data.id;
+  const createdResponse = await client.getWorkflow(workflowId, orgId);
+  const remoteData = (createdResponse && createdResponse.data) || created.data;
+  const workflowDir = path.join(projectDir, 'workflows', workflowId);
+
+  // Start from the source's workflow.json so local-only metadata (trigger
+  // path, ...) carries over, with the source IDs replaced by the new ones
+  if (metadata) {
+    const seed = remapIds(metadata, sourceProjectId ? { [sourceId]: workflowId, [sourceProjectId]: projectId } : { [sourceId]: workflowId });
+
+    // The copy has its own endpoint, state and sync record
+    delete seed.sync;
+    delete seed.webhook_url;
+    delete seed.created_at;
+    seed.active = workflowData.active;
+
+    await ensureDir(workflowDir);
+    await writeWorkflowJson(workflowDir, seed);
+  }
+
+  const { metadata: written } = await writeLocalWorkflow(workflowDir, normalizeWorkflow({ id: workflowId, ...remoteData }), {
+    project_id: projectId,
+    org_id: orgId,
+    sync: {
+      pulled_at: new Date().toISOString(),
+      remote_updated_at: remoteData.updated_at || null,
+      remote_hash: hashWorkflow(remoteData)
+    }
+  });
+
+  if (options.fixtures) {
+    logger.log(`Copying ${FIXTURES_DIR}...`);
+    await fs.cp(sourceFixtures, path.join(workflowDir, FIXTURES_DIR), { recursive: true });
+  }
+
+  return {
+    source_id: sourceId,
+    workflow_id: workflowId,
+    workflow_name: name,
+    workflow_url: `https://pipedream.com/workflows/${workflowId}`,
+    project_id: projectId,
+    org_id: orgId,
+    active: Boolean(options.active),
+    local_dir: workflowDir,
+    webhook_url: written.webhook_url || null,
+    fixtures_copied: Boolean(options.fixtures)
+  };
+}
+
+// CLI action for clone-workflow
+async function cloneWorkflowCommand(workflow, options) {
+  await runCommand(async () => {
+    const result = await cloneWorkflow(cliOptions({ ...options, workflow }));
+
+    if (!isJsonMode()) {
+      console.log('\n' + '-'.repeat(50));
+      console.log(`✅ Cloned ${result.source_id} as "${result.workflow_name}"`);
+      console.log(`   - Workflow ID: ${result.workflow_id}`);
+      console.log(`   - Project: ${result.project_id}`);
+      console.log(`   - State: ${result.active ? 'active' : 'paused (turn it on with "pdmanager workflow activate")'}`);
+      if (result.webhook_url) {
+        console.log(`   - Webhook URL: ${result.webhook_url}`);
+      }
+      console.log(`   - Local directory: ${result.local_dir}`);
+      if (result.fixtures_copied) {
+        console.log(`   - Test fixtures copied to ${FIXTURES_DIR}`);
+      }
+      console.log(`   - URL: ${result.workflow_url}`);
+      console.log('-'.repeat(50));
+    }
+
+    return result;
+  });
+}
+
+module.exports = { cloneWorkflow, cloneWorkflowCommand };
@@ -4,6 +4,7 @@ const path = require('path');
 const readline = require('readline');
 const ini = require('ini');
 const { v4: uuidv4 } = require('uuid');
+const { printResult } = require('../lib/output');
 require('dotenv').config();
 
 async function sleep(ms) {
@@ -506,9 +507,16 @@ async function createProjectAfterLogin(options) {
       console.log(`   - Directory: ${projectDir}`);
       console.log(`   - Log file: ${logger.logPath}`);
       console.log('-'.repeat(50) + '\n');
+      
+      printResult({
+        project_id: projectId,
+        project_name: projectName,
+        project_dir: projectDir,
+        log_file: logger.logPath
+      });
     } else {
       console.log('\n' + '-'.repeat(50));
-      console.log('❌ Project creation failed!');
+      console.error('❌ Project creation failed!');
       console.log(`   - Log file: ${logger.logPath}`);
       console.log('-'.repeat(50) + '\n');
     }
@@ -1,14 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
-const ini = require('ini');
-const https = require('https');
-const crypto = require('crypto');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { buildTriggerComponent, parseTrigger, triggerLabel } = require('../lib/triggers');
+const { describeNextRuns, nextRuns, parsePreviewCount } = require('../lib/schedule');
+const { readWorkflowSpec } = require('../lib/workflow-spec');
+const { getProjectIdFromConfig, resolveProject } = require('../lib/project-config');
+const {
+  buildWebhookUrl,
+  fileExists,
+  findHttpTrigger,
+  hashWorkflow,
+  normalizeWorkflow,
+  writeLocalWorkflow,
+  writeWorkflowJson
+} = require('../lib/workflow-files');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { printTable } = require('../lib/table');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
 require('dotenv').config();
 
-// Helper function to generate a random path for HTTP webhooks
-function generateRandomPath() {
-  return crypto.randomBytes(8).toString('hex');
-}
+// Workflows created at the same time by create-workflow --from
+const DEFAULT_CONCURRENCY = 4;
+
+// Options of a --from run that apply to every spec entry without its own value
+const SHARED_SPEC_OPTIONS = ['template', 'trigger', 'schedule', 'timezone', 'feedUrl', 'triggerProps'];
 
 async function ensureDir(dirPath) {
   try {
@@ -18,294 +35,446 @@ async function ensureDir(dirPath) {
   }
 }
 
-// Helper function to make API requests
-async function makeApiRequest(method, endpoint, apiKey, data = null) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.pipedream.com',
-      port: 443,
-      path: `/v1${endpoint}`,
-      method: method,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            const parsedData = JSON.parse(responseData);
-            resolve(parsedData);
-          } catch (error) {
-            reject(new Error(`Failed to parse response: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Request failed with status code ${res.statusCode}: ${responseData}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    if (data) {
-      req.write(JSON.stringify(data));
+// Project ID from --project or the config.ini of the project the directory
+// belongs to
+async function resolveProjectId(options, cwd, logger) {
+  let projectId = options.project;
+
+  if (!projectId) {
+    projectId = await getProjectIdFromConfig(cwd);
+    if (projectId) {
+      logger.log(`Found project ID in config: ${projectId}`);
     }
-    
-    req.end();
-  });
+  }
+
+  if (!projectId) {
+    throw new ConfigurationError('Project ID is required. Provide via --project option or run this command inside a project directory (one with config.ini containing project.id)');
+  }
+
+  return projectId;
 }
 
-// Main function to create a workflow
-async function createWorkflow(options) {
-  try {
-    console.log('Starting workflow creation process...');
-    
-    // Get API key from options or .env
-    const apiKey = options.apiKey || process.env.PIPEDREAM_API_KEY;
-    if (!apiKey) {
-      console.error('Error: API key is required. Provide via --apiKey option or set PIPEDREAM_API_KEY in .env file');
-      process.exit(1);
+// Create one workflow in a resolved project and workspace, and write its
+// local workflows/<id>/ directory. `definition` holds the workflow options
+// with an already parsed trigger. context.onCreated, when given, is awaited
+// with the new ID as soon as the API returns it, before anything else can fail.
+async function createInProject(client, definition, context, logger) {
+  const { projectId, orgId, projectDir, previewCount, onCreated } = context;
+  const { trigger } = definition;
+
+  // Prepare workflow data
+  const workflowName = definition.name || `Workflow_${new Date().toISOString().split('T')[0]}`;
+  logger.log(`Creating workflow: ${workflowName}`);
+
+  const workflowData = {
+    project_id: projectId,
+    org_id: orgId,
+    settings: {
+      name: workflowName,
+      auto_deploy: true
+    }
+  };
+
+  // Add template ID if provided
+  if (definition.template) {
+    workflowData.template_id = definition.template;
+    logger.log(`Using template: ${definition.template}`);
+  }
+
+  // Add description if provided
+  if (definition.description) {
+    workflowData.settings.description = definition.description;
+  }
+
+  // Add the trigger component
+  if (trigger) {
+    logger.log(`Configuring trigger: ${definition.triggerType}`);
+
+    if (trigger.type === 'schedule') {
+      logger.log(`Using schedule: ${trigger.schedule}${trigger.timezone ? ` (${trigger.timezone})` : ' (UTC)'}`);
+    } else if (trigger.type === 'rss') {
+      logger.log(`Using feed: ${trigger.url}`);
     }
-    
-    // Get project information
-    let projectId = options.project;
-    let orgId = null;
-    
-    // If project ID is not provided directly, try to read from config.ini
-    if (!projectId) {
-      try {
-        const configPath = path.join(process.cwd(), 'config.ini');
-        const configContent = await fs.readFile(configPath, 'utf8');
-        const config = ini.parse(configContent);
-        
-        if (config.project && config.project.id) {
-          projectId = config.project.id;
-          console.log(`Found project ID in config: ${projectId}`);
+
+    workflowData.components = [buildTriggerComponent(trigger, workflowName)];
+  }
+
+  // Create the workflow via API
+  logger.log('Creating workflow via API...');
+  const newWorkflow = await client.createWorkflow(workflowData);
+
+  if (!newWorkflow || !newWorkflow.data || !newWorkflow.data.id) {
+    throw new PdManagerError('Failed to create workflow');
+  }
+
+  const workflowId = newWorkflow.data.id;
+  logger.log(`✅ Workflow created successfully with ID: ${workflowId}`);
+
+  if (onCreated) {
+    await onCreated(workflowId);
+  }
+
+  // Store workflow details locally
+  const workflowsDir = path.join(projectDir, 'workflows');
+  const workflowDir = path.join(workflowsDir, workflowId);
+
+  // Ensure directories exist
+  await ensureDir(workflowsDir);
+  await ensureDir(workflowDir);
+
+  // Save workflow metadata
+  const metadata = {
+    id: workflowId,
+    name: workflowName,
+    created_at: new Date().toISOString(),
+    project_id: projectId,
+    org_id: orgId,
+    description: definition.description || ''
+  };
+
+  // The created workflow as deployed: its trigger's endpoint URL and the
+  // sync baseline push compares against
+  const fetched = await client.getWorkflow(workflowId, orgId);
+  const remoteData = (fetched && fetched.data) || newWorkflow.data;
+
+  // Add trigger info to metadata
+  if (trigger) {
+    metadata.trigger = { ...trigger };
+
+    // The endpoint URL is assigned by Pipedream; take it from the created trigger
+    if (trigger.type === 'http') {
+      const httpTrigger = findHttpTrigger(remoteData) || findHttpTrigger(newWorkflow.data);
+
+      if (httpTrigger) {
+        if (httpTrigger.id) {
+          metadata.trigger.id = httpTrigger.id;
         }
-      } catch (error) {
-        console.error('Error reading config.ini file:', error.message);
-        console.error('Please provide a project ID with --project option or run this command from a project directory');
-        process.exit(1);
+        metadata.webhook_url = buildWebhookUrl(httpTrigger.endpoint_url, trigger.path);
+      } else {
+        logger.log('⚠️  The API did not return the webhook URL yet. Run "pdmanager refresh-metadata" later to record it.');
       }
     }
-    
-    if (!projectId) {
-      console.error('Error: Project ID is required. Provide via --project option or ensure config.ini contains project.id');
-      process.exit(1);
-    }
-    
-    // Get user details to find org ID
-    console.log('Fetching user details to determine workspace...');
-    const userDetails = await makeApiRequest('GET', '/users/me', apiKey);
-    
-    if (!userDetails || !userDetails.data || !userDetails.data.id) {
-      console.error('Error: Failed to fetch user details');
-      process.exit(1);
+  }
+
+  metadata.sync = {
+    pulled_at: new Date().toISOString(),
+    remote_updated_at: remoteData.updated_at || null,
+    remote_hash: hashWorkflow(remoteData)
+  };
+
+  await writeWorkflowJson(workflowDir, metadata);
+
+  // Create placeholder for code
+  await fs.writeFile(
+    path.join(workflowDir, 'code.js'),
+    `// Placeholder for workflow code\n// Workflow ID: ${workflowId}\n// Name: ${workflowName}\n`
+  );
+
+  return {
+    workflow_id: workflowId,
+    workflow_name: workflowName,
+    workflow_url: `https://pipedream.com/workflows/${workflowId}`,
+    project_id: projectId,
+    org_id: orgId,
+    local_dir: workflowDir,
+    trigger: metadata.trigger || null,
+    webhook_url: metadata.webhook_url || null,
+    ...(trigger && trigger.type === 'schedule'
+      ? { next_runs: nextRuns(trigger.schedule, trigger.timezone, previewCount).map(date => date.toISOString()) }
+      : {})
+  };
+}
+
+// Create a workflow and its local workflows/<id>/ directory. Returns the
+// workflow details; throws on failure.
+async function createWorkflow(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+  const { projectDir } = await resolveProject(cwd);
+
+  logger.log('Starting workflow creation process...');
+
+  const client = requireApiClient(options);
+
+  // Parse the trigger first, so invalid trigger options fail before any API call
+  // First check options, then fallback to environment variables
+  const triggerType = options.trigger || process.env.DEFAULT_TRIGGER_TYPE;
+  const trigger = triggerType ? await parseTrigger(triggerType, { ...options, cwd }) : null;
+  const previewCount = parsePreviewCount(options.preview);
+
+  // Get project information
+  const projectId = await resolveProjectId(options, cwd, logger);
+
+  // Determine the workspace (org) to create the workflow in
+  logger.log('Determining workspace...');
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  return createInProject(client, { ...options, trigger, triggerType }, { projectId, orgId, projectDir, previewCount }, logger);
+}
+
+// Run fn over items with at most `limit` calls in flight. Results keep the
+// order of the items.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
-    
-    // Get the first organization (workspace) from the user's details
-    if (userDetails.data.orgs && userDetails.data.orgs.length > 0) {
-      orgId = userDetails.data.orgs[0].id;
-      console.log(`Using workspace (org_id): ${orgId}`);
-    } else {
-      console.error('Error: No workspace found for the user');
-      process.exit(1);
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Progress of a --from run, kept next to the spec as <spec>.progress.json so
+// an interrupted run can be resumed without creating workflows twice
+async function readProgress(progressPath, projectId) {
+  try {
+    const progress = JSON.parse(await fs.readFile(progressPath, 'utf8'));
+    if (progress.project_id === projectId && progress.created) {
+      return progress;
     }
-    
-    // Prepare workflow data
-    const workflowName = options.name || `Workflow_${new Date().toISOString().split('T')[0]}`;
-    console.log(`Creating workflow: ${workflowName}`);
-    
-    const workflowData = {
-      project_id: projectId,
-      org_id: orgId,
-      settings: {
-        name: workflowName,
-        auto_deploy: true
-      }
-    };
-    
-    // Add template ID if provided
-    if (options.template) {
-      workflowData.template_id = options.template;
-      console.log(`Using template: ${options.template}`);
+  } catch (error) {
+    // No usable progress file: start fresh
+  }
+
+  return { project_id: projectId, created: {} };
+}
+
+// Create every workflow of a spec file (options.from) in one project. The
+// project and workspace are resolved once, workflows are created with
+// bounded concurrency, and workflows an earlier, interrupted run recorded in
+// the progress file are skipped. Other workflows of the project that share a
+// name with a spec entry are left alone; the entry is still created, with a
+// warning.
+async function createWorkflows(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+  const { projectDir } = await resolveProject(cwd);
+
+  if (options.name || options.triggerPath) {
+    throw new ValidationError('--name and --trigger-path are set per workflow in the spec and cannot be combined with --from');
+  }
+
+  const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : parseInt(options.concurrency, 10);
+  if (!(concurrency >= 1)) {
+    throw new ValidationError('--concurrency must be 1 or more');
+  }
+
+  const specPath = path.resolve(cwd, options.from);
+  const entries = await readWorkflowSpec(specPath);
+  const client = requireApiClient(options);
+  const previewCount = parsePreviewCount(options.preview);
+
+  // Validate every definition before creating anything
+  const shared = SHARED_SPEC_OPTIONS.reduce((acc, key) => {
+    if (options[key] !== undefined) {
+      acc[key] = options[key];
     }
-    
-    // Add description if provided
-    if (options.description) {
-      workflowData.settings.description = options.description;
+    return acc;
+  }, {});
+  const definitions = [];
+
+  for (const entry of entries) {
+    const definition = { ...shared, ...entry };
+    const triggerType = definition.trigger || process.env.DEFAULT_TRIGGER_TYPE;
+
+    try {
+      definition.trigger = triggerType
+        ? await parseTrigger(triggerType, { ...definition, cwd: path.dirname(specPath) })
+        : null;
+    } catch (error) {
+      throw new ValidationError(`${path.basename(specPath)}: "${entry.name}": ${error.message}`);
     }
-    
-    // Check for trigger configuration
-    // First check options, then fallback to environment variables
-    const triggerType = options.trigger || process.env.DEFAULT_TRIGGER_TYPE;
-    
-    if (triggerType) {
-      console.log(`Configuring trigger: ${triggerType}`);
-      
-      // Initialize components array if not exists
-      if (!workflowData.components) {
-        workflowData.components = [];
+
+    definitions.push({ ...definition, triggerType });
+  }
+
+  const projectId = await resolveProjectId(options, cwd, logger);
+
+  logger.log('Determining workspace...');
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  const progressPath = `${specPath}.progress.json`;
+  const progress = await readProgress(progressPath, projectId);
+
+  const response = await client.listProjectWorkflows(projectId, orgId);
+  const remoteIds = new Map();
+  ((response && response.data) || []).forEach((workflow) => {
+    const name = workflow.name || (workflow.settings && workflow.settings.name);
+    remoteIds.set(name, [...(remoteIds.get(name) || []), workflow.id]);
+  });
+
+  // Progress writes are chained so concurrent workers don't interleave them
+  let saving = Promise.resolve();
+  const recordCreated = (name, workflowId) => {
+    progress.created[name] = workflowId;
+    saving = saving.then(() => fs.writeFile(progressPath, JSON.stringify(progress, null, 2)));
+    return saving;
+  };
+
+  const context = { projectId, orgId, projectDir, previewCount };
+  logger.log(`\nCreating ${definitions.length} workflow(s) from ${path.basename(specPath)} (concurrency ${concurrency})...`);
+
+  const rows = await mapWithConcurrency(definitions, concurrency, async (definition) => {
+    const row = {
+      name: definition.name,
+      trigger: definition.trigger ? triggerLabel(definition.trigger) : '-'
+    };
+    const existingId = progress.created[definition.name];
+
+    try {
+      if (existingId) {
+        // Created by an earlier run: make sure its local folder exists
+        const workflowDir = path.join(projectDir, 'workflows', existingId);
+        if (!await fileExists(path.join(workflowDir, 'workflow.json'))) {
+          const remote = await client.getWorkflow(existingId, orgId);
+          await writeLocalWorkflow(workflowDir, normalizeWorkflow({ id: existingId, ...remote.data }), {
+            project_id: projectId,
+            org_id: orgId,
+            sync: {
+              pulled_at: new Date().toISOString(),
+              remote_updated_at: remote.data.updated_at || null,
+              remote_hash: hashWorkflow(remote.data)
+            }
+          });
+        }
+
+        logger.log(`⏭️  ${definition.name}: already created (${existingId})`);
+        return { ...row, status: 'existing', workflow_id: existingId, local_dir: workflowDir };
       }
-      
-      if (triggerType === 'http') {
-        // HTTP webhook trigger
-        console.log(`Configuring HTTP webhook trigger`);
-        
-        workflowData.components.push({
-          key: 'trigger',
-          type: 'source',
-          app: 'http',
-          source: {
-            type: 'webhook',
-            name: `${workflowName} HTTP Webhook`,
-            key: 'http-webhook'  
-          }
-        });
-      } else if (triggerType === 'schedule') {
-        // Schedule/cron trigger
-        // First check options, then env var, then default to daily at midnight
-        let cronExpression = options.schedule || process.env.DEFAULT_SCHEDULE || '0 0 * * *';
-        // Remove quotes if present in the environment variable
-        cronExpression = cronExpression.replace(/"/g, '');
-        
-        console.log(`Using schedule: ${cronExpression}`);
-        
-        workflowData.components.push({
-          key: 'trigger',
-          type: 'source',
-          app: 'schedule',
-          source: {
-            type: 'cron',
-            name: `${workflowName} Schedule`,
-            key: 'schedule',
-            cron: cronExpression
-          }
-        });
-      } else {
-        console.log(`Trigger type '${triggerType}' not yet implemented. Creating workflow without trigger.`);
+
+      const sameName = remoteIds.get(definition.name) || [];
+      const warning = sameName.length > 0
+        ? `the project already has a workflow named "${definition.name}" (${sameName.join(', ')})`
+        : null;
+      if (warning) {
+        logger.log(`⚠️  ${definition.name}: ${warning}; creating another one`);
       }
-    }
-    
-    // Create the workflow via API
-    console.log('Creating workflow via API...');
-    const newWorkflow = await makeApiRequest('POST', '/workflows', apiKey, workflowData);
-    
-    if (!newWorkflow || !newWorkflow.data || !newWorkflow.data.id) {
-      console.error('Error: Failed to create workflow');
-      process.exit(1);
-    }
-    
-    const workflowId = newWorkflow.data.id;
-    console.log(`✅ Workflow created successfully with ID: ${workflowId}`);
-    
-    // Store workflow details locally
-    const projectDir = process.cwd();
-    const workflowsDir = path.join(projectDir, 'workflows');
-    const workflowDir = path.join(workflowsDir, workflowId);
-    
-    // Ensure directories exist
-    await ensureDir(workflowsDir);
-    await ensureDir(workflowDir);
-    
-    // Save workflow metadata
-    const metadata = {
-      id: workflowId,
-      name: workflowName,
-      created_at: new Date().toISOString(),
-      project_id: projectId,
-      description: options.description || ''
-    };
-    
-    // Add trigger info to metadata
-    if (triggerType) {
-      metadata.trigger = {
-        type: triggerType
+
+      // The ID is recorded as soon as the workflow exists, so a rerun after a
+      // failure further on (fetching it, writing its folder) doesn't create it twice
+      const created = await createInProject(client, definition, {
+        ...context,
+        onCreated: workflowId => recordCreated(definition.name, workflowId)
+      }, getLogger({}));
+
+      logger.log(`✅ ${definition.name}: ${created.workflow_id}`);
+      return {
+        ...row,
+        status: 'created',
+        workflow_id: created.workflow_id,
+        local_dir: created.local_dir,
+        ...(warning ? { warning } : {}),
+        ...(created.webhook_url ? { webhook_url: created.webhook_url } : {}),
+        ...(created.next_runs ? { next_runs: created.next_runs } : {})
       };
-      
-      if (triggerType === 'http' && options.triggerPath) {
-        metadata.trigger.path = options.triggerPath;
-        metadata.webhook_url = `https://webhook.pipedream.com/v1/sources/${workflowId}/events`;
-      } else if (triggerType === 'http') {
-        const path = generateRandomPath();
-        metadata.trigger.path = path;
-        metadata.webhook_url = `https://webhook.pipedream.com/v1/sources/${workflowId}/events`;
-      } else if (triggerType === 'schedule') {
-        let schedule = options.schedule || process.env.DEFAULT_SCHEDULE || '0 0 * * *';
-        schedule = schedule.replace(/"/g, '');
-        metadata.trigger.schedule = schedule;
-      }
+    } catch (error) {
+      logger.error(`❌ ${definition.name}: ${error.message}`);
+      return { ...row, status: 'failed', workflow_id: progress.created[definition.name] || null, error: error.message };
     }
-    
-    await fs.writeFile(
-      path.join(workflowDir, 'workflow.json'),
-      JSON.stringify(metadata, null, 2)
-    );
-    
-    // Create placeholder for code
-    await fs.writeFile(
-      path.join(workflowDir, 'code.js'),
-      `// Placeholder for workflow code\n// Workflow ID: ${workflowId}\n// Name: ${workflowName}\n`
-    );
-    
-    // Generate URL for the workflow
-    const workflowUrl = `https://pipedream.com/workflows/${workflowId}`;
-    
+  });
+
+  await saving;
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+
+  // A complete run needs no progress file
+  if (count('failed') === 0) {
+    await fs.rm(progressPath, { force: true });
+  }
+
+  return {
+    project_id: projectId,
+    org_id: orgId,
+    spec: specPath,
+    workflows: rows,
+    created: count('created'),
+    existing: count('existing'),
+    failed: count('failed'),
+    progress_file: count('failed') > 0 ? progressPath : null,
+    name_collisions: rows.filter(row => row.warning).map(row => row.name)
+  };
+}
+
+// CLI action for create-workflow
+async function createWorkflowCommand(options) {
+  if (options.from) {
+    return createWorkflowsCommand(options);
+  }
+
+  await runCommand(async () => {
+    const result = await createWorkflow(cliOptions(options));
+
     console.log('\n' + '-'.repeat(50));
-    console.log(`✅ Workflow "${workflowName}" created successfully!`);
-    console.log(`   - Workflow ID: ${workflowId}`);
-    console.log(`   - URL: ${workflowUrl}`);
-    console.log(`   - Local directory: ${workflowDir}`);
-    
+    console.log(`✅ Workflow "${result.workflow_name}" created successfully!`);
+    console.log(`   - Workflow ID: ${result.workflow_id}`);
+    console.log(`   - URL: ${result.workflow_url}`);
+    console.log(`   - Local directory: ${result.local_dir}`);
+
     // Display trigger information if applicable
-    if (triggerType) {
-      console.log(`   - Trigger type: ${triggerType}`);
-      
-      if (triggerType === 'http') {
-        const webhookUrl = `https://webhook.pipedream.com/v1/sources/${workflowId}/events`;
-        console.log(`   - Webhook URL: ${webhookUrl}`);
-      } else if (triggerType === 'schedule') {
-        let schedule = options.schedule || process.env.DEFAULT_SCHEDULE || '0 0 * * *';
-        schedule = schedule.replace(/"/g, '');
-        console.log(`   - Schedule: ${schedule}`);
+    if (result.trigger) {
+      console.log(`   - Trigger type: ${result.trigger.type}`);
+
+      if (result.webhook_url) {
+        console.log(`   - Webhook URL: ${result.webhook_url}`);
+      } else if (result.trigger.schedule) {
+        console.log(`   - Schedule: ${result.trigger.schedule} (${result.trigger.timezone || 'UTC'})`);
+
+        if (result.next_runs.length > 0) {
+          console.log('   - Next runs:');
+          describeNextRuns(result.trigger.schedule, result.trigger.timezone, result.next_runs.length)
+            .forEach(run => console.log(`       ${run}`));
+        }
+      } else if (result.trigger.url) {
+        console.log(`   - Feed URL: ${result.trigger.url}`);
+      } else if (result.trigger.component_key) {
+        console.log(`   - Source: ${result.trigger.component_key}`);
       }
     }
-    
+
     console.log('-'.repeat(50) + '\n');
-    
-    // Return data but also explicitly exit the process
-    const result = { 
-      workflowId, 
-      workflowName, 
-      workflowUrl,
-      trigger: triggerType ? {
-        type: triggerType,
-        ...(triggerType === 'http' ? { 
-          path: options.triggerPath || metadata.trigger?.path,
-          webhook_url: `https://webhook.pipedream.com/v1/sources/${workflowId}/events`
-        } : {}),
-        ...(triggerType === 'schedule' ? { 
-          schedule: options.schedule || process.env.DEFAULT_SCHEDULE?.replace(/"/g, '') || '0 0 * * *' 
-        } : {})
-      } : null
-    };
-    
-    // Explicitly exit with success code
-    process.exit(0);
-  } catch (error) {
-    console.error('Error creating workflow:', error.message);
-    process.exit(1);
-  }
+
+    return result;
+  });
+}
+
+// CLI action for create-workflow --from
+async function createWorkflowsCommand(options) {
+  await runCommand(async () => {
+    const result = await createWorkflows(cliOptions(options));
+
+    if (!isJsonMode()) {
+      console.log('');
+      printTable(result.workflows.map(row => ({
+        ...row,
+        workflow_id: row.workflow_id || '-',
+        details: row.error || row.warning || row.webhook_url || ''
+      })), [
+        { key: 'name', header: 'NAME' },
+        { key: 'status', header: 'STATUS' },
+        { key: 'workflow_id', header: 'WORKFLOW ID' },
+        { key: 'trigger', header: 'TRIGGER' },
+        { key: 'details', header: 'DETAILS' }
+      ]);
+      console.log(`\n${result.created} created, ${result.existing} already created by an earlier run, ${result.failed} failed`);
+    }
+
+    // The error keeps the result, so --json still reports every row
+    if (result.failed > 0) {
+      throw Object.assign(
+        new PdManagerError(`Failed to create ${result.failed} workflow(s). Run the same command again to retry them; progress is kept in ${result.progress_file}`),
+        { result }
+      );
+    }
+
+    return result;
+  });
 }
 
-module.exports = { createWorkflow };
+module.exports = { createWorkflow, createWorkflows, createWorkflowCommand };
@@ -0,0 +1,115 @@
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, confirmTyped, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { resolveProject } = require('../lib/project-config');
+const {
+  planLocalCleanup,
+  applyLocalCleanup,
+  printCleanupPlan,
+  confirmDeletion
+} = require('./delete-workflow');
+require('dotenv').config();
+
+// Delete a project and all of its workflows from Pipedream. Local cleanup
+// only happens when run from that project's directory.
+async function deleteProject(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (options.archive && options.keepLocal) {
+    throw new ValidationError('--archive and --keep-local cannot be used together');
+  }
+
+  const client = requireApiClient(options);
+
+  const local = await resolveProject(cwd);
+  const localProjectId = local.projectId;
+  const projectId = options.project || localProjectId;
+
+  if (!projectId) {
+    throw new ConfigurationError('Project ID is required. Provide via --project option or run this command from a project directory with config.ini');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  // The project list is the only place with the project's name
+  logger.log(`Fetching project ${projectId}...`);
+  const projects = await client.listProjects(orgId);
+  const project = ((projects && projects.data) || []).find(candidate => candidate.id === projectId);
+
+  if (!project) {
+    throw new PdManagerError(`Project ${projectId} not found in workspace ${orgId}`);
+  }
+
+  const workflowsResponse = await client.listProjectWorkflows(projectId, orgId);
+  const workflows = ((workflowsResponse && workflowsResponse.data) || []).map(workflow => ({
+    id: workflow.id,
+    name: workflow.name || 'Unnamed Workflow'
+  }));
+
+  // Don't touch another project's files when deleting by --project
+  const isLocalProject = localProjectId === projectId;
+  const cleanup = isLocalProject
+    ? await planLocalCleanup(local.projectDir, { workflows: workflows.map(workflow => workflow.id), projects: [projectId] }, options)
+    : null;
+
+  logger.log('\nThe following will be deleted:');
+  logger.log(`   - Project: ${project.name || 'Unnamed Project'} (${projectId})`);
+  workflows.forEach(workflow => {
+    logger.log(`   - Workflow: ${workflow.name} (${workflow.id})`);
+  });
+  if (cleanup) {
+    printCleanupPlan(cleanup, logger);
+  }
+  logger.log('');
+
+  const result = {
+    project_id: projectId,
+    project_name: project.name || null,
+    org_id: orgId,
+    workflows,
+    deleted: false,
+    local_dirs: cleanup ? cleanup.workflow_dirs.map(({ dir }) => dir) : [],
+    local_action: cleanup ? cleanup.local_action : null,
+    config_entries: cleanup ? cleanup.config_entries : []
+  };
+
+  const message = `This permanently deletes project "${project.name || projectId}" and its ${workflows.length} workflow(s).`;
+  if (!await confirmDeletion(options, projectId, message)) {
+    return result;
+  }
+
+  logger.log('Deleting project via API...');
+  await client.deleteProject(projectId, orgId);
+
+  const archived = cleanup ? await applyLocalCleanup(cleanup) : [];
+
+  return { ...result, deleted: true, archived };
+}
+
+// CLI action for delete-project
+async function deleteProjectCommand(options) {
+  await runCommand(async () => {
+    const result = await deleteProject({ ...cliOptions(options), confirm: confirmTyped });
+
+    if (!result.deleted) {
+      throw new PdManagerError('Confirmation did not match. Nothing was deleted.');
+    }
+
+    console.log('\n' + '-'.repeat(50));
+    console.log(`✅ Project "${result.project_name || result.project_id}" deleted`);
+    console.log(`   - Project ID: ${result.project_id}`);
+    console.log(`   - Workflows deleted: ${result.workflows.length}`);
+    result.archived.forEach(({ dir }) => {
+      console.log(`   - Archived local files: ${dir}`);
+    });
+    console.log('-'.repeat(50) + '\n');
+
+    return result;
+  });
+}
+
+module.exports = { deleteProject, deleteProjectCommand };
@@ -0,0 +1,215 @@
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, confirmTyped, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const {
+  findConfigPath,
+  readConfig,
+  writeConfig,
+  findConfigReferences,
+  removeConfigReferences,
+  resolveProject
+} = require('../lib/project-config');
+const {
+  fileExists,
+  findWorkflowDir,
+  readWorkflowJson,
+  removeLocalWorkflow
+} = require('../lib/workflow-files');
+require('dotenv').config();
+
+// Work out which local files belong to the deleted IDs: workflows/<id>
+// folders in the project directory and config.ini entries pointing at them
+async function planLocalCleanup(projectDir, ids, options = {}) {
+  const workflowDirs = [];
+
+  for (const id of ids.workflows) {
+    const dir = path.join(projectDir, 'workflows', id);
+    if (await fileExists(dir)) {
+      workflowDirs.push({ id, dir });
+    }
+  }
+
+  const configPath = await findConfigPath(projectDir);
+  let configEntries = [];
+
+  if (configPath) {
+    const config = await readConfig(configPath);
+    configEntries = [...ids.workflows, ...ids.projects].flatMap(id => findConfigReferences(config, id));
+  }
+
+  let localAction = 'remove';
+  if (options.keepLocal) {
+    localAction = 'keep';
+  } else if (options.archive) {
+    localAction = 'archive';
+  }
+
+  return {
+    project_dir: projectDir,
+    workflow_dirs: workflowDirs,
+    local_action: localAction,
+    config_path: configPath,
+    config_entries: configEntries
+  };
+}
+
+async function applyLocalCleanup(cleanup) {
+  const archived = [];
+
+  if (cleanup.local_action !== 'keep') {
+    for (const { id, dir } of cleanup.workflow_dirs) {
+      const archiveDir = await removeLocalWorkflow(dir, {
+        archive: cleanup.local_action === 'archive',
+        projectDir: cleanup.project_dir
+      });
+
+      if (archiveDir) {
+        archived.push({ id, dir: archiveDir });
+      }
+    }
+  }
+
+  if (cleanup.config_path && cleanup.config_entries.length > 0) {
+    const config = await readConfig(cleanup.config_path);
+    await writeConfig(cleanup.config_path, removeConfigReferences(config, cleanup.config_entries));
+  }
+
+  return archived;
+}
+
+function printCleanupPlan(cleanup, logger) {
+  const actions = {
+    remove: 'deleted',
+    archive: `moved to ${path.join(cleanup.project_dir, 'archive', 'workflows')}`,
+    keep: 'kept'
+  };
+
+  cleanup.workflow_dirs.forEach(({ dir }) => {
+    logger.log(`   - Local folder: ${dir} (${actions[cleanup.local_action]})`);
+  });
+
+  cleanup.config_entries.forEach(({ section, key }) => {
+    const entry = key === null ? `[${section}] section` : `${section}.${key}`;
+    logger.log(`   - ${path.basename(cleanup.config_path)}: ${entry} (removed)`);
+  });
+}
+
+// Ask for confirmation unless options.yes is set. Library callers without a
+// confirm callback must pass yes explicitly.
+async function confirmDeletion(options, expected, message) {
+  if (options.yes) {
+    return true;
+  }
+
+  if (typeof options.confirm !== 'function') {
+    throw new ValidationError('Deletion needs confirmation. Pass --yes to delete without prompting.');
+  }
+
+  return options.confirm(expected, message);
+}
+
+// Delete a workflow from Pipedream and clean up its local files. Shows what
+// will be removed through the logger and asks options.confirm before deleting.
+async function deleteWorkflow(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (options.archive && options.keepLocal) {
+    throw new ValidationError('--archive and --keep-local cannot be used together');
+  }
+
+  const client = requireApiClient(options);
+
+  // The workflow can come from --id or from the workflow directory we're in;
+  // ignore that directory when it's another workflow
+  let workflowDir = await findWorkflowDir({ ...options, cwd });
+  let metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+  if (metadata && options.id && metadata.id !== options.id) {
+    workflowDir = null;
+    metadata = null;
+  }
+  const workflowId = options.id || (metadata && metadata.id);
+
+  if (!workflowId) {
+    throw new ConfigurationError('Workflow ID is required. Provide --id <id> or run this command from a workflow directory.');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || (metadata && metadata.org_id) });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  logger.log(`Fetching workflow ${workflowId}...`);
+  const response = await client.getWorkflow(workflowId, orgId);
+
+  if (!response || !response.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const workflow = response.data;
+  const workflowName = workflow.name || (workflow.settings && workflow.settings.name) || 'Unnamed Workflow';
+
+  // Local files live in the project directory, wherever below it we run
+  const { projectDir } = await resolveProject(workflowDir || cwd);
+  const cleanup = await planLocalCleanup(projectDir, { workflows: [workflowId], projects: [] }, options);
+
+  logger.log('\nThe following will be deleted:');
+  logger.log(`   - Workflow: ${workflowName} (${workflowId})`);
+  if (workflow.project_id) {
+    logger.log(`   - Project: ${workflow.project_id}`);
+  }
+  printCleanupPlan(cleanup, logger);
+  logger.log('');
+
+  const result = {
+    workflow_id: workflowId,
+    workflow_name: workflowName,
+    project_id: workflow.project_id || null,
+    deleted: false,
+    local_dirs: cleanup.workflow_dirs.map(({ dir }) => dir),
+    local_action: cleanup.local_action,
+    config_entries: cleanup.config_entries
+  };
+
+  if (!await confirmDeletion(options, workflowId, `This permanently deletes workflow "${workflowName}".`)) {
+    return result;
+  }
+
+  logger.log('Deleting workflow via API...');
+  await client.deleteWorkflow(workflowId, orgId);
+
+  const archived = await applyLocalCleanup(cleanup);
+
+  return { ...result, deleted: true, archived };
+}
+
+// CLI action for delete-workflow
+async function deleteWorkflowCommand(options) {
+  await runCommand(async () => {
+    const result = await deleteWorkflow({ ...cliOptions(options), confirm: confirmTyped });
+
+    if (!result.deleted) {
+      throw new PdManagerError('Confirmation did not match. Nothing was deleted.');
+    }
+
+    console.log('\n' + '-'.repeat(50));
+    console.log(`✅ Workflow "${result.workflow_name}" deleted`);
+    console.log(`   - Workflow ID: ${result.workflow_id}`);
+    result.archived.forEach(({ dir }) => {
+      console.log(`   - Archived local files: ${dir}`);
+    });
+    console.log('-'.repeat(50) + '\n');
+
+    return result;
+  });
+}
+
+module.exports = {
+  deleteWorkflow,
+  deleteWorkflowCommand,
+  planLocalCleanup,
+  applyLocalCleanup,
+  printCleanupPlan,
+  confirmDeletion
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const chalk = require('chalk');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError } = require('../lib/errors');
+const {
+  findWorkflowDir,
+  normalizeWorkflow,
+  localToWorkflow,
+  readLocalWorkflow
+} = require('../lib/workflow-files');
+const { diffWorkflow, createStepPatches } = require('../lib/workflow-diff');
+require('dotenv').config();
+
+// Color a unified diff the way git does
+function colorPatch(patch) {
+  return patch
+    .replace(/\n$/, '')
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        return chalk.bold(line);
+      }
+      if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+      }
+      if (line.startsWith('+')) {
+        return chalk.green(line);
+      }
+      if (line.startsWith('-')) {
+        return chalk.red(line);
+      }
+      return line;
+    })
+    .join('\n');
+}
+
+// Describe one entry of diff().steps
+function describeStep(step) {
+  switch (step.status) {
+    case 'added':
+      return chalk.green(`+ Step ${step.name} added at position ${step.position}`);
+    case 'removed':
+      return chalk.red(`- Step ${step.name} removed (was at position ${step.remote_position})`);
+    case 'moved':
+      return chalk.yellow(`~ Step ${step.name} moved from position ${step.remote_position} to ${step.position}`);
+    default: {
+      const moved = step.position !== step.remote_position ? `, moved from position ${step.remote_position} to ${step.position}` : '';
+      return chalk.yellow(`~ Step ${step.name} changed (${step.changes.join(', ')}${moved})`);
+    }
+  }
+}
+
+// Diff local workflow files against the deployed workflow. Returns the
+// changed settings and steps, with a unified patch per changed step file.
+async function diff(options = {}) {
+  const logger = getLogger(options);
+  const client = requireApiClient(options);
+
+  const workflowDir = await findWorkflowDir(options);
+  if (!workflowDir) {
+    throw new ConfigurationError('Workflow directory not found. Provide --id <id> from the project directory or run this command from a workflow directory.');
+  }
+
+  const localFiles = await readLocalWorkflow(workflowDir);
+  const workflowId = options.id || localFiles.metadata.id;
+
+  if (!workflowId) {
+    throw new ConfigurationError(`No workflow ID found in ${path.join(workflowDir, 'workflow.json')}`);
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd: workflowDir, org: options.org || localFiles.metadata.org_id });
+  logger.log(`Comparing ${workflowDir} with deployed workflow ${workflowId}...`);
+
+  const remoteResponse = await client.getWorkflow(workflowId, orgId);
+
+  if (!remoteResponse || !remoteResponse.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const local = localToWorkflow(localFiles);
+  const remote = normalizeWorkflow({ id: workflowId, ...remoteResponse.data });
+  const result = diffWorkflow(local, remote);
+
+  return {
+    workflow_id: workflowId,
+    workflow_name: local.name,
+    has_changes: result.hasChanges,
+    settings: result.settings,
+    steps: result.steps.map(step => ({
+      name: step.name,
+      status: step.status,
+      ...(step.index !== undefined ? { position: step.index + 1 } : {}),
+      ...(step.remoteIndex !== undefined ? { remote_position: step.remoteIndex + 1 } : {}),
+      changes: step.changes,
+      patches: createStepPatches(step)
+    }))
+  };
+}
+
+// CLI action for diff
+async function diffCommand(options) {
+  await runCommand(async () => {
+    const result = await diff(cliOptions(options));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    console.log(chalk.bold(`\nWorkflow: ${result.workflow_name} (${result.workflow_id})`));
+
+    if (!result.has_changes) {
+      console.log('\nNo differences: local workflow matches the deployed version.');
+      return result;
+    }
+
+    if (result.settings.length > 0) {
+      console.log('\nSettings:');
+      result.settings.forEach(change => {
+        console.log(`  ${change.field}:`);
+        console.log(chalk.red(`  - ${change.remote}`));
+        console.log(chalk.green(`  + ${change.local}`));
+      });
+    }
+
+    if (result.steps.length > 0) {
+      console.log('\nSteps:');
+      result.steps.forEach(step => {
+        console.log(`\n${describeStep(step)}`);
+
+        Object.values(step.patches).forEach(patch => {
+          console.log(colorPatch(patch));
+        });
+      });
+    }
+
+    console.log('');
+    return result;
+  });
+}
+
+module.exports = { diff, diffCommand };
@@ -0,0 +1,391 @@
+const path = require('path');
+const chalk = require('chalk');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { printTable } = require('../lib/table');
+const { maskValue, readEnvFile, validateEnvName } = require('../lib/env');
+const { getProjectIdFromConfig } = require('../lib/project-config');
+require('dotenv').config();
+
+// Variables live in the workspace, or in a project with --project <id>
+// (--project alone uses the project in config.ini)
+async function resolveScope(client, options) {
+  const cwd = options.cwd || process.cwd();
+  let projectId = null;
+
+  if (options.project === true) {
+    projectId = await getProjectIdFromConfig(cwd);
+    if (!projectId) {
+      throw new ConfigurationError('No project ID in config.ini. Use --project <id>.');
+    }
+  } else if (options.project) {
+    projectId = options.project;
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  return {
+    orgId,
+    projectId,
+    label: projectId ? `project ${projectId}` : `workspace ${orgId}`
+  };
+}
+
+// Remote variables by name. Secret values come back empty (null).
+async function fetchRemoteVariables(client, scope) {
+  const response = await client.listEnvVars(scope.orgId, scope.projectId);
+
+  return ((response && response.data) || []).reduce((acc, variable) => {
+    const name = variable.name || variable.key;
+    acc[name] = {
+      name,
+      value: variable.value === undefined ? null : variable.value,
+      secret: Boolean(variable.secret),
+      updated_at: variable.updated_at || null
+    };
+    return acc;
+  }, {});
+}
+
+function scopeResult(scope) {
+  return { org_id: scope.orgId, ...(scope.projectId ? { project_id: scope.projectId } : {}) };
+}
+
+// Turn NAME=value arguments into { NAME: value }
+function parseAssignments(assignments = []) {
+  return assignments.reduce((acc, assignment) => {
+    const index = assignment.indexOf('=');
+    if (index <= 0) {
+      throw new ValidationError(`Invalid assignment "${assignment}". Use NAME=value`);
+    }
+    acc[validateEnvName(assignment.slice(0, index))] = assignment.slice(index + 1);
+    return acc;
+  }, {});
+}
+
+// List the variables of the workspace or project, with masked values
+async function envList(options = {}) {
+  const logger = getLogger(options);
+  const client = requireApiClient(options);
+  const scope = await resolveScope(client, options);
+
+  logger.log(`Fetching environment variables of ${scope.label}...`);
+  const remote = await fetchRemoteVariables(client, scope);
+
+  return {
+    ...scopeResult(scope),
+    variables: Object.values(remote)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(variable => ({ ...variable, value: maskValue(variable.value) }))
+  };
+}
+
+// Set variables from options.variables ({ NAME: value }); options.secret
+// stores them as secrets
+async function envSet(options = {}) {
+  const logger = getLogger(options);
+  const variables = options.variables || {};
+  const names = Object.keys(variables);
+
+  if (names.length === 0) {
+    throw new ValidationError('Nothing to set. Use NAME=value');
+  }
+  names.forEach(validateEnvName);
+
+  const client = requireApiClient(options);
+  const scope = await resolveScope(client, options);
+  const secret = Boolean(options.secret);
+
+  for (const name of names) {
+    logger.log(`Setting ${name} in ${scope.label}...`);
+    await client.setEnvVar(scope.orgId, scope.projectId, name, { value: String(variables[name]), secret });
+  }
+
+  return {
+    ...scopeResult(scope),
+    set: names.map(name => ({ name, value: maskValue(variables[name]), secret }))
+  };
+}
+
+// Remove variables by name
+async function envUnset(options = {}) {
+  const logger = getLogger(options);
+  const names = options.names || [];
+
+  if (names.length === 0) {
+    throw new ValidationError('Give the names of the variables to remove');
+  }
+
+  const client = requireApiClient(options);
+  const scope = await resolveScope(client, options);
+  const remote = await fetchRemoteVariables(client, scope);
+
+  const missing = names.filter(name => !remote[name]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Not set in ${scope.label}: ${missing.join(', ')}`);
+  }
+
+  for (const name of names) {
+    logger.log(`Removing ${name} from ${scope.label}...`);
+    await client.deleteEnvVar(scope.orgId, scope.projectId, name);
+  }
+
+  return { ...scopeResult(scope), unset: names };
+}
+
+// Compare local variables with the remote ones. Secrets can't be compared
+// because the API doesn't return their values.
+function compareVariables(local, remote) {
+  const names = [...new Set([...Object.keys(local), ...Object.keys(remote)])].sort();
+
+  return names.map((name) => {
+    const localValue = Object.prototype.hasOwnProperty.call(local, name) ? local[name] : undefined;
+    const remoteVariable = remote[name];
+    let status;
+
+    if (localValue === undefined) {
+      status = 'only_remote';
+    } else if (!remoteVariable) {
+      status = 'only_local';
+    } else if (remoteVariable.value === null) {
+      status = 'unknown';
+    } else {
+      status = remoteVariable.value === localValue ? 'same' : 'changed';
+    }
+
+    return {
+      name,
+      status,
+      local: localValue === undefined ? null : maskValue(localValue),
+      remote: remoteVariable ? (remoteVariable.secret ? '(secret)' : maskValue(remoteVariable.value)) : null,
+      secret: remoteVariable ? remoteVariable.secret : false
+    };
+  });
+}
+
+// Compare a local .env file with the variables of the workspace or project
+async function envDiff(options = {}) {
+  const cwd = options.cwd || process.cwd();
+
+  if (!options.file) {
+    throw new ValidationError('Give the .env file to compare');
+  }
+
+  const local = await readEnvFile(path.resolve(cwd, options.file));
+  const client = requireApiClient(options);
+  const scope = await resolveScope(client, options);
+  const variables = compareVariables(local, await fetchRemoteVariables(client, scope));
+
+  return {
+    ...scopeResult(scope),
+    file: options.file,
+    variables,
+    has_changes: variables.some(variable => variable.status !== 'same')
+  };
+}
+
+// Set the variables of a .env file. Unchanged variables are skipped, and so
+// are secrets (whose current value is unknown) unless options.overwrite.
+async function envImport(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (!options.file) {
+    throw new ValidationError('Give the .env file to import');
+  }
+
+  const local = await readEnvFile(path.resolve(cwd, options.file));
+  if (Object.keys(local).length === 0) {
+    throw new ValidationError(`${options.file} has no variables`);
+  }
+
+  const client = requireApiClient(options);
+  const scope = await resolveScope(client, options);
+  const remote = await fetchRemoteVariables(client, scope);
+  const secret = Boolean(options.secret);
+
+  const rows = compareVariables(local, remote)
+    .filter(row => row.status !== 'only_remote')
+    .map((row) => {
+      const action = {
+        only_local: 'create',
+        changed: 'update',
+        unknown: options.overwrite ? 'update' : 'skip'
+      }[row.status] || (remote[row.name].secret !== secret ? 'update' : 'unchanged');
+
+      return { name: row.name, value: row.local, action };
+    });
+
+  if (!options.dryRun) {
+    for (const row of rows.filter(entry => ['create', 'update'].includes(entry.action))) {
+      try {
+        logger.log(`${row.action === 'create' ? 'Creating' : 'Updating'} ${row.name}...`);
+        await client.setEnvVar(scope.orgId, scope.projectId, row.name, { value: local[row.name], secret });
+      } catch (error) {
+        logger.error(`❌ ${row.name}: ${error.message}`);
+        row.error = error.message;
+      }
+    }
+  }
+
+  return {
+    ...scopeResult(scope),
+    file: options.file,
+    variables: rows,
+    failed: rows.filter(row => row.error).length,
+    ...(options.dryRun ? { dry_run: true } : {})
+  };
+}
+
+// Read a value piped on stdin (env set NAME --secret < file), so it doesn't
+// end up in the shell history
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new ValidationError('Give NAME=value, or pipe the value on stdin');
+  }
+
+  let data = '';
+  for await (const chunk of process.stdin) {
+    data += chunk;
+  }
+  return data.replace(/\r?\n$/, '');
+}
+
+function scopeLabel(result) {
+  return result.project_id ? `project ${result.project_id}` : `workspace ${result.org_id}`;
+}
+
+// CLI action for env list
+async function envListCommand(options) {
+  await runCommand(async () => {
+    const result = await envList(cliOptions(options));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (result.variables.length === 0) {
+      console.log(`No environment variables in ${scopeLabel(result)}.`);
+      return result;
+    }
+
+    console.log('');
+    printTable(result.variables.map(variable => ({
+      ...variable,
+      value: variable.secret ? '(secret)' : variable.value,
+      updated_at: variable.updated_at || ''
+    })), [
+      { key: 'name', header: 'NAME' },
+      { key: 'value', header: 'VALUE' },
+      { key: 'updated_at', header: 'UPDATED' }
+    ]);
+    console.log(`\n${result.variables.length} variable(s) in ${scopeLabel(result)}`);
+
+    return result;
+  });
+}
+
+// CLI action for env set
+async function envSetCommand(assignments, options) {
+  await runCommand(async () => {
+    const variables = assignments.length === 1 && !assignments[0].includes('=')
+      ? { [validateEnvName(assignments[0])]: await readStdin() }
+      : parseAssignments(assignments);
+
+    const result = await envSet({ ...cliOptions(options), variables });
+
+    console.log(`\n✅ Set ${result.set.map(variable => variable.name).join(', ')} in ${scopeLabel(result)}${options.secret ? ' as secret(s)' : ''}\n`);
+    return result;
+  });
+}
+
+// CLI action for env unset
+async function envUnsetCommand(names, options) {
+  await runCommand(async () => {
+    const result = await envUnset({ ...cliOptions(options), names });
+
+    console.log(`\n✅ Removed ${result.unset.join(', ')} from ${scopeLabel(result)}\n`);
+    return result;
+  });
+}
+
+// CLI action for env import
+async function envImportCommand(file, options) {
+  await runCommand(async () => {
+    const result = await envImport(cliOptions({ ...options, file }));
+
+    if (!isJsonMode()) {
+      console.log('');
+      printTable(result.variables.map(variable => ({
+        ...variable,
+        action: variable.error ? `failed: ${variable.error}` : variable.action
+      })), [
+        { key: 'name', header: 'NAME' },
+        { key: 'value', header: 'VALUE' },
+        { key: 'action', header: 'ACTION' }
+      ]);
+
+      const changed = result.variables.filter(variable => ['create', 'update'].includes(variable.action) && !variable.error).length;
+      console.log(`\n${changed} variable(s) ${result.dry_run ? 'would be ' : ''}written to ${scopeLabel(result)}`);
+
+      const skipped = result.variables.filter(variable => variable.action === 'skip').length;
+      if (skipped > 0) {
+        console.log(`${skipped} secret(s) skipped because their current value is unknown; use --overwrite to replace them`);
+      }
+    }
+
+    if (result.failed > 0) {
+      throw new PdManagerError(`Could not write ${result.failed} variable(s)`);
+    }
+
+    return result;
+  });
+}
+
+// CLI action for env diff
+async function envDiffCommand(file, options) {
+  await runCommand(async () => {
+    const result = await envDiff(cliOptions({ ...options, file }));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (!result.has_changes) {
+      console.log(`\nNo differences: ${result.file} matches ${scopeLabel(result)}.`);
+      return result;
+    }
+
+    console.log(chalk.bold(`\n${result.file} (+) compared with ${scopeLabel(result)} (-):\n`));
+    result.variables.forEach((variable) => {
+      if (variable.status === 'only_local') {
+        console.log(chalk.green(`+ ${variable.name}=${variable.local}`));
+      } else if (variable.status === 'only_remote') {
+        console.log(chalk.red(`- ${variable.name}=${variable.remote}`));
+      } else if (variable.status === 'changed') {
+        console.log(chalk.red(`- ${variable.name}=${variable.remote}`));
+        console.log(chalk.green(`+ ${variable.name}=${variable.local}`));
+      } else if (variable.status === 'unknown') {
+        console.log(chalk.yellow(`? ${variable.name} is a secret and can't be compared`));
+      }
+    });
+    console.log('');
+
+    return result;
+  });
+}
+
+module.exports = {
+  envList,
+  envSet,
+  envUnset,
+  envImport,
+  envDiff,
+  envListCommand,
+  envSetCommand,
+  envUnsetCommand,
+  envImportCommand,
+  envDiffCommand
+};
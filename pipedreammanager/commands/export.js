@@ -0,0 +1,206 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ini = require('ini');
+const tar = require('tar');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { isEnvFile } = require('../lib/env');
+const { readConfig, resolveProject } = require('../lib/project-config');
+const { ensureDir, fileExists } = require('../lib/workflow-files');
+require('dotenv').config();
+
+// Version of the export layout, checked by import
+const EXPORT_FORMAT_VERSION = 1;
+
+// config.ini keys that hold credentials and never go into an export
+const SECRET_KEY_PATTERN = /api_?key|secret|token|password/i;
+
+// Files that hold credentials and never go into an export: .env files,
+// private keys and certificates, and package manager credentials
+const SECRET_FILE_PATTERN = /\.(pem|key|p12|pfx)$|^\.(npmrc|netrc)$|^id_(rsa|dsa|ecdsa|ed25519)/i;
+
+function isSecretFile(fileName) {
+  return isEnvFile(fileName) || SECRET_FILE_PATTERN.test(fileName);
+}
+
+// Copy a local workflow directory, leaving secret files out. Returns the
+// skipped files, relative to `from`.
+async function copyWithoutSecrets(from, to) {
+  const skipped = [];
+
+  await fs.cp(from, to, {
+    recursive: true,
+    filter: (source) => {
+      if (source !== from && isSecretFile(path.basename(source))) {
+        skipped.push(path.relative(from, source));
+        return false;
+      }
+      return true;
+    }
+  });
+
+  return skipped;
+}
+
+// Copy of a parsed config.ini without credentials. Returns the config and
+// the removed keys.
+function stripSecrets(config) {
+  const stripped = {};
+  const removed = [];
+
+  Object.entries(config).forEach(([section, values]) => {
+    if (!values || typeof values !== 'object') {
+      stripped[section] = values;
+      return;
+    }
+
+    stripped[section] = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (SECRET_KEY_PATTERN.test(key)) {
+        removed.push(`${section}.${key}`);
+      } else {
+        stripped[section][key] = value;
+      }
+    });
+  });
+
+  return { config: stripped, removed };
+}
+
+// Export the workflows of a project into a timestamped .tar.gz archive (or a
+// directory with format 'dir'): the full remote JSON of every workflow, its
+// local files including fixtures, and config.ini, all without secrets.
+async function exportProject(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+  const format = options.format || 'tar';
+
+  if (!['tar', 'dir'].includes(format)) {
+    throw new ValidationError('--format must be "tar" or "dir"');
+  }
+
+  const client = requireApiClient(options);
+
+  const project = await resolveProject(cwd);
+  const projectId = options.project || project.projectId;
+  if (!projectId) {
+    throw new ConfigurationError('Project ID is required. Provide via --project option or run this command from a project directory with config.ini');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  let workflowIds;
+  if (options.workflow) {
+    workflowIds = [options.workflow];
+  } else {
+    logger.log(`Listing workflows in project ${projectId}...`);
+    const workflows = await client.listProjectWorkflows(projectId, orgId);
+    workflowIds = ((workflows && workflows.data) || []).map(workflow => workflow.id);
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const exportName = `pipedream-export-${projectId}-${stamp}`;
+  const outputDir = path.resolve(cwd, options.output || '.');
+
+  // Archives are built in a temporary directory and packed at the end
+  const stagingRoot = format === 'tar' ? await fs.mkdtemp(path.join(os.tmpdir(), 'pdmanager-export-')) : outputDir;
+  const exportDir = path.join(stagingRoot, exportName);
+
+  try {
+    await ensureDir(exportDir);
+
+    const exported = [];
+    const skippedFiles = [];
+
+    logger.log(`\nExporting ${workflowIds.length} workflow(s):`);
+    logger.log('-'.repeat(50));
+
+    for (const workflowId of workflowIds) {
+      const response = await client.getWorkflow(workflowId, orgId);
+
+      if (!response || !response.data) {
+        throw new PdManagerError(`Failed to fetch workflow ${workflowId}`);
+      }
+
+      const workflowExportDir = path.join(exportDir, 'workflows', workflowId);
+      await ensureDir(workflowExportDir);
+      await fs.writeFile(path.join(workflowExportDir, 'remote.json'), JSON.stringify(response.data, null, 2));
+
+      // Local code, workflow.json and tests/fixtures, when the workflow was pulled or created here
+      const localDir = path.join(project.projectDir, 'workflows', workflowId);
+      const hasLocalFiles = await fileExists(localDir);
+      if (hasLocalFiles) {
+        const skipped = await copyWithoutSecrets(localDir, path.join(workflowExportDir, 'local'));
+        skippedFiles.push(...skipped.map(file => path.join('workflows', workflowId, file)));
+      }
+
+      const name = response.data.name || (response.data.settings && response.data.settings.name) || 'Unnamed Workflow';
+      exported.push({ id: workflowId, name, local_files: hasLocalFiles });
+      logger.log(`✅ ${name} (${workflowId})${hasLocalFiles ? '' : ' - no local files'}`);
+    }
+
+    logger.log('-'.repeat(50));
+
+    let removedSecrets = [];
+    if (project.configPath) {
+      const { config, removed } = stripSecrets(await readConfig(project.configPath));
+      removedSecrets = removed;
+      await fs.writeFile(path.join(exportDir, 'config.ini'), ini.stringify(config, { whitespace: true }));
+    }
+
+    const manifest = {
+      format_version: EXPORT_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      project_id: projectId,
+      org_id: orgId,
+      workflows: exported
+    };
+    await fs.writeFile(path.join(exportDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    let exportPath = exportDir;
+    if (format === 'tar') {
+      await ensureDir(outputDir);
+      exportPath = path.join(outputDir, `${exportName}.tar.gz`);
+      await tar.create({ gzip: true, file: exportPath, cwd: stagingRoot }, [exportName]);
+    }
+
+    return {
+      project_id: projectId,
+      org_id: orgId,
+      path: exportPath,
+      format,
+      workflows: exported,
+      removed_secrets: removedSecrets,
+      skipped_files: skippedFiles
+    };
+  } finally {
+    if (format === 'tar') {
+      await fs.rm(stagingRoot, { recursive: true, force: true });
+    }
+  }
+}
+
+// CLI action for export
+async function exportCommand(options) {
+  await runCommand(async () => {
+    const result = await exportProject(cliOptions(options));
+
+    console.log(`\n✅ Exported ${result.workflows.length} workflow(s) to ${result.path}`);
+    if (result.removed_secrets.length > 0) {
+      console.log(`   - Left out of config.ini: ${result.removed_secrets.join(', ')}`);
+    }
+    if (result.skipped_files.length > 0) {
+      console.log(`   - Secret files left out: ${result.skipped_files.join(', ')}`);
+    }
+    console.log('');
+
+    return result;
+  });
+}
+
+module.exports = { exportProject, exportCommand, EXPORT_FORMAT_VERSION };
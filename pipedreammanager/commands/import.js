@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { readConfig, resolveProject, writeConfig } = require('../lib/project-config');
+const { buildTriggerComponent } = require('../lib/triggers');
+const {
+  buildWebhookUrl,
+  fileExists,
+  findHttpTrigger,
+  hashWorkflow,
+  normalizeWorkflow,
+  remapIds,
+  toApiSteps,
+  readWorkflowJson,
+  writeWorkflowJson,
+  writeLocalWorkflow
+} = require('../lib/workflow-files');
+const { EXPORT_FORMAT_VERSION } = require('./export');
+require('dotenv').config();
+
+// Find the export directory (the one holding manifest.json) in an unpacked archive
+async function findExportDir(dir) {
+  if (await fileExists(path.join(dir, 'manifest.json'))) {
+    return dir;
+  }
+
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.isDirectory() && await fileExists(path.join(dir, entry.name, 'manifest.json'))) {
+      return path.join(dir, entry.name);
+    }
+  }
+
+  return null;
+}
+
+// Recreate one exported workflow in the target project and write its local files
+async function importWorkflow(client, exportDir, entry, target, idMap) {
+  const sourceDir = path.join(exportDir, 'workflows', entry.id);
+  const remoteData = remapIds(JSON.parse(await fs.readFile(path.join(sourceDir, 'remote.json'), 'utf8')), idMap);
+  const workflow = normalizeWorkflow({ ...remoteData, id: entry.id });
+
+  const workflowData = {
+    project_id: target.projectId,
+    org_id: target.orgId,
+    settings: {
+      name: workflow.name,
+      description: workflow.description,
+      auto_deploy: true
+    },
+    steps: toApiSteps(workflow.steps)
+  };
+
+  const trigger = workflow.triggers[0];
+  const triggerComponent = trigger && buildTriggerComponent(trigger, workflow.name);
+  if (triggerComponent) {
+    workflowData.components = [triggerComponent];
+  }
+
+  const created = await client.createWorkflow(workflowData);
+  if (!created || !created.data || !created.data.id) {
+    throw new PdManagerError('Failed to create workflow');
+  }
+
+  const workflowId = created.data.id;
+  const response = await client.getWorkflow(workflowId, target.orgId);
+  const newRemote = (response && response.data) || created.data;
+  const newWorkflow = normalizeWorkflow({ id: workflowId, ...newRemote });
+
+  const workflowDir = path.join(target.projectDir, 'workflows', workflowId);
+  const sync = {
+    pulled_at: new Date().toISOString(),
+    remote_updated_at: newWorkflow.updated_at,
+    remote_hash: hashWorkflow(newRemote)
+  };
+
+  const localSource = path.join(sourceDir, 'local');
+  if (await fileExists(localSource)) {
+    // Keep the exported local files (code, fixtures) and point them at the new workflow
+    await fs.cp(localSource, workflowDir, { recursive: true });
+
+    const metadata = remapIds(await readWorkflowJson(workflowDir) || {}, idMap);
+    const httpTrigger = findHttpTrigger(newRemote);
+
+    metadata.id = workflowId;
+    metadata.project_id = target.projectId;
+    metadata.org_id = target.orgId;
+    metadata.created_at = new Date().toISOString();
+    metadata.sync = sync;
+
+    // The new workflow has its own endpoint; never keep the exported one
+    delete metadata.webhook_url;
+    if (httpTrigger) {
+      metadata.trigger = { ...(metadata.trigger || {}), ...(httpTrigger.id ? { id: httpTrigger.id } : {}) };
+      metadata.webhook_url = buildWebhookUrl(httpTrigger.endpoint_url, metadata.trigger.path);
+    }
+
+    await writeWorkflowJson(workflowDir, metadata);
+  } else {
+    await writeLocalWorkflow(workflowDir, newWorkflow, {
+      project_id: target.projectId,
+      org_id: target.orgId,
+      sync
+    });
+  }
+
+  return { source_id: entry.id, id: workflowId, name: newWorkflow.name || workflow.name, dir: workflowDir };
+}
+
+// Recreate the workflows of an export (.tar.gz or directory) in another
+// project or workspace. Project and org IDs from the export are replaced by
+// the target ones.
+async function importProject(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (!options.source) {
+    throw new ValidationError('Path to an export archive or directory is required');
+  }
+
+  const sourcePath = path.resolve(cwd, options.source);
+  if (!await fileExists(sourcePath)) {
+    throw new ConfigurationError(`Export not found: ${sourcePath}`);
+  }
+
+  const client = requireApiClient(options);
+
+  const project = await resolveProject(cwd);
+  const projectId = options.project || project.projectId;
+  if (!projectId) {
+    throw new ConfigurationError('Target project ID is required. Provide via --project option or run this command from a project directory with config.ini');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Importing into project ${projectId} (org_id: ${orgId})`);
+
+  const isArchive = (await fs.stat(sourcePath)).isFile();
+  const unpackDir = isArchive ? await fs.mkdtemp(path.join(os.tmpdir(), 'pdmanager-import-')) : null;
+
+  try {
+    if (isArchive) {
+      await tar.extract({ file: sourcePath, cwd: unpackDir });
+    }
+
+    const exportDir = await findExportDir(unpackDir || sourcePath);
+    if (!exportDir) {
+      throw new ValidationError(`No manifest.json found in ${sourcePath}. Is this a pdmanager export?`);
+    }
+
+    const manifest = JSON.parse(await fs.readFile(path.join(exportDir, 'manifest.json'), 'utf8'));
+    if (manifest.format_version !== EXPORT_FORMAT_VERSION) {
+      throw new ValidationError(`Unsupported export format version: ${manifest.format_version}`);
+    }
+
+    const idMap = {
+      [manifest.project_id]: projectId,
+      [manifest.org_id]: orgId
+    };
+    // Import into the enclosing project directory when it is the target;
+    // another project (or none) means the current directory starts a new one
+    const projectDir = project.configPath && project.projectId === projectId ? project.projectDir : cwd;
+    const target = { projectId, orgId, projectDir };
+
+    const imported = [];
+    const failed = [];
+
+    logger.log(`\nImporting ${manifest.workflows.length} workflow(s) exported from project ${manifest.project_id}:`);
+    logger.log('-'.repeat(50));
+
+    for (const entry of manifest.workflows) {
+      try {
+        const workflow = await importWorkflow(client, exportDir, entry, target, idMap);
+        imported.push(workflow);
+        logger.log(`✅ ${workflow.name}: ${entry.id} -> ${workflow.id}`);
+      } catch (error) {
+        logger.error(`❌ ${entry.name} (${entry.id}): ${error.message}`);
+        failed.push({ source_id: entry.id, error: error.message });
+      }
+    }
+
+    logger.log('-'.repeat(50));
+
+    // A fresh project directory gets the exported config.ini, pointed at the target
+    let configWritten = null;
+    const configPath = path.join(projectDir, 'config.ini');
+    const exportedConfigPath = path.join(exportDir, 'config.ini');
+
+    if (!await fileExists(configPath) && await fileExists(exportedConfigPath)) {
+      const config = await readConfig(exportedConfigPath);
+      config.project = { ...config.project, id: projectId };
+      config.pipedream = { ...config.pipedream, org_id: orgId };
+      await writeConfig(configPath, config);
+      configWritten = configPath;
+    }
+
+    return {
+      project_id: projectId,
+      org_id: orgId,
+      source_project_id: manifest.project_id,
+      source_org_id: manifest.org_id,
+      workflows: imported,
+      failed,
+      config_written: configWritten
+    };
+  } finally {
+    if (unpackDir) {
+      await fs.rm(unpackDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// CLI action for import
+async function importCommand(source, options) {
+  await runCommand(async () => {
+    const result = await importProject(cliOptions({ ...options, source }));
+
+    console.log(`\n✅ Imported ${result.workflows.length} workflow(s) into project ${result.project_id}`);
+    if (result.config_written) {
+      console.log(`   - Created ${result.config_written}`);
+    }
+    console.log('');
+
+    if (result.failed.length > 0) {
+      throw new PdManagerError(`Failed to import ${result.failed.length} workflow(s): ${result.failed.map(failure => failure.source_id).join(', ')}`);
+    }
+
+    return result;
+  });
+}
+
+module.exports = { importProject, importCommand };
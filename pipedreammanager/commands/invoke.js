@@ -0,0 +1,221 @@
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { fileExists, findWorkflowDir, readWorkflowJson } = require('../lib/workflow-files');
+
+const DEFAULT_FIXTURE = path.join('tests', 'fixtures', 'input.json');
+const DEFAULT_TIMEOUT = 30000;
+
+// Collect repeated -H options
+function collectHeader(value, previous = []) {
+  return [...previous, value];
+}
+
+// Parse "Name: value" headers into an object
+function parseHeaders(headers = []) {
+  return headers.reduce((acc, header) => {
+    const index = header.indexOf(':');
+    if (index <= 0) {
+      throw new ValidationError(`Invalid header "${header}". Use "Name: value"`);
+    }
+    acc[header.slice(0, index).trim().toLowerCase()] = header.slice(index + 1).trim();
+    return acc;
+  }, {});
+}
+
+// Point the webhook URL at another server, keeping its path and query
+// (e.g. a local emulator instead of *.m.pipedream.net)
+function rebaseUrl(webhookUrl, baseUrl) {
+  if (!baseUrl) {
+    return new URL(webhookUrl);
+  }
+
+  const original = new URL(webhookUrl);
+  const base = new URL(baseUrl);
+  base.pathname = `${base.pathname.replace(/\/+$/, '')}${original.pathname}`;
+  base.search = original.search;
+  return base;
+}
+
+// Fixtures written by pdcreator describe the whole HTTP event
+// ({ method, headers, path, body }); anything else is sent as the body
+function isEventFixture(fixture) {
+  return Boolean(fixture) && typeof fixture === 'object' && !Array.isArray(fixture) &&
+    Object.prototype.hasOwnProperty.call(fixture, 'body') &&
+    Object.keys(fixture).every(key => ['method', 'headers', 'path', 'query', 'body'].includes(key));
+}
+
+async function readFixture(fixturePath) {
+  const text = await fs.readFile(fixturePath, 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Fixture ${fixturePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function sendRequest(url, { method, headers, body, timeout }) {
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const req = transport.request(url, { method, headers }, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          status_text: res.statusMessage,
+          headers: res.headers,
+          body: responseData,
+          duration_ms: Date.now() - startedAt
+        });
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new PdManagerError(`Request timed out after ${timeout}ms`));
+    });
+
+    req.on('error', (error) => {
+      reject(error instanceof PdManagerError ? error : new PdManagerError(`Request to ${url} failed: ${error.message}`));
+    });
+
+    if (body !== null) {
+      req.write(body);
+    }
+
+    req.end();
+  });
+}
+
+// Send a test event to the HTTP trigger of a workflow. The URL comes from
+// webhook_url in the local workflow.json; the event from a fixture
+// (tests/fixtures/input.json by default), overridden by method, headers and
+// data options.
+async function invoke(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  const workflowDir = await findWorkflowDir({ id: options.workflow, cwd });
+  const metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+
+  if (!metadata || (options.workflow && metadata.id !== options.workflow)) {
+    throw new ConfigurationError(options.workflow
+      ? `No local workflow ${options.workflow} found. Run "pdmanager pull --workflow ${options.workflow}" first.`
+      : 'Workflow is required. Provide --workflow <id> or run this command from a workflow directory.');
+  }
+
+  if (!metadata.webhook_url) {
+    throw new ConfigurationError(metadata.trigger && metadata.trigger.type !== 'http'
+      ? `Workflow ${metadata.id} has a ${metadata.trigger.type} trigger, not an HTTP trigger`
+      : `No webhook_url in ${path.join(workflowDir, 'workflow.json')}. Run "pdmanager refresh-metadata" to record it.`);
+  }
+
+  // Fixture: --fixture relative to the current directory, or the workflow's default one
+  let fixture = null;
+  let fixturePath = null;
+  if (options.fixture) {
+    fixturePath = path.resolve(cwd, options.fixture);
+    if (!await fileExists(fixturePath)) {
+      throw new ConfigurationError(`Fixture not found: ${fixturePath}`);
+    }
+  } else if (options.data === undefined && await fileExists(path.join(workflowDir, DEFAULT_FIXTURE))) {
+    fixturePath = path.join(workflowDir, DEFAULT_FIXTURE);
+  }
+
+  if (fixturePath) {
+    fixture = await readFixture(fixturePath);
+    logger.log(`Using fixture ${fixturePath}`);
+  }
+
+  const event = isEventFixture(fixture) ? fixture : { body: fixture };
+  const url = rebaseUrl(metadata.webhook_url, options.baseUrl);
+
+  if (event.path) {
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/${String(event.path).replace(/^\/+/, '')}`;
+  }
+  Object.entries(event.query || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  const method = (options.method || event.method || 'POST').toUpperCase();
+  const headers = {
+    ...Object.entries(event.headers || {}).reduce((acc, [key, value]) => ({ ...acc, [key.toLowerCase()]: value }), {}),
+    ...parseHeaders(options.header)
+  };
+
+  let body = null;
+  if (options.data !== undefined) {
+    body = String(options.data);
+  } else if (event.body !== undefined && event.body !== null) {
+    body = typeof event.body === 'string' ? event.body : JSON.stringify(event.body);
+    if (typeof event.body !== 'string' && !headers['content-type']) {
+      headers['content-type'] = 'application/json';
+    }
+  }
+
+  if (body !== null && ['GET', 'HEAD'].includes(method)) {
+    throw new ValidationError(`A ${method} request cannot have a body. Use --method POST or drop the fixture/--data.`);
+  }
+
+  if (body !== null) {
+    headers['content-length'] = Buffer.byteLength(body);
+  }
+
+  logger.log(`${method} ${url.toString()}`);
+
+  const timeout = parseInt(options.timeout, 10) || DEFAULT_TIMEOUT;
+  const response = await sendRequest(url, { method, headers, body, timeout });
+
+  let json;
+  try {
+    json = JSON.parse(response.body);
+  } catch (error) {
+    json = undefined;
+  }
+
+  return {
+    workflow_id: metadata.id,
+    url: url.toString(),
+    request: { method, headers, body, fixture: fixturePath },
+    response: {
+      ...response,
+      ...(json !== undefined ? { json } : {})
+    }
+  };
+}
+
+// CLI action for invoke
+async function invokeCommand(options) {
+  await runCommand(async () => {
+    const result = await invoke(cliOptions(options));
+    const { response } = result;
+
+    if (!isJsonMode()) {
+      console.log(`\nHTTP ${response.status} ${response.status_text || ''} (${response.duration_ms} ms)`.trimEnd());
+      Object.entries(response.headers).forEach(([name, value]) => {
+        console.log(`${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+      });
+      console.log('');
+      console.log(response.json !== undefined ? JSON.stringify(response.json, null, 2) : response.body);
+      console.log('');
+    }
+
+    if (response.status >= 400) {
+      throw new PdManagerError(`Request failed with status ${response.status}`);
+    }
+
+    return result;
+  });
+}
+
+module.exports = { invoke, invokeCommand, collectHeader };
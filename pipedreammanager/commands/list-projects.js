@@ -0,0 +1,60 @@
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { printTable } = require('../lib/table');
+require('dotenv').config();
+
+// List the projects of a workspace, optionally filtered by name
+async function listProjects(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const logger = getLogger(options);
+  const client = requireApiClient(options);
+
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Fetching projects in workspace ${orgId}...`);
+
+  const response = await client.listProjects(orgId);
+  let projects = (response && response.data) || [];
+
+  if (options.name) {
+    const needle = options.name.toLowerCase();
+    projects = projects.filter(project => (project.name || '').toLowerCase().includes(needle));
+  }
+
+  const rows = projects.map(project => ({
+    id: project.id,
+    name: project.name || 'Unnamed Project',
+    created_at: project.created_at || ''
+  }));
+
+  return { org_id: orgId, projects: rows };
+}
+
+// CLI action for list-projects
+async function listProjectsCommand(options) {
+  await runCommand(async () => {
+    const result = await listProjects(cliOptions(options));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (result.projects.length === 0) {
+      console.log('No projects found.');
+      return result;
+    }
+
+    console.log('');
+    printTable(result.projects, [
+      { key: 'id', header: 'ID' },
+      { key: 'name', header: 'NAME' },
+      { key: 'created_at', header: 'CREATED' }
+    ]);
+    console.log(`\n${result.projects.length} project(s)`);
+
+    return result;
+  });
+}
+
+module.exports = { listProjects, listProjectsCommand };
@@ -1,113 +1,18 @@
-const https = require('https');
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
-const ini = require('ini');
-
-// Helper function to make API requests
-async function makeApiRequest(method, endpoint, apiKey, data = null) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.pipedream.com',
-      port: 443,
-      path: `/v1${endpoint}`,
-      method: method,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            const parsedData = JSON.parse(responseData);
-            resolve(parsedData);
-          } catch (error) {
-            reject(new Error(`Failed to parse response: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Request failed with status code ${res.statusCode}: ${responseData}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    if (data) {
-      req.write(JSON.stringify(data));
-    }
-    
-    req.end();
-  });
-}
-
-// Get project ID from config.ini
-async function getProjectIdFromConfig() {
-  try {
-    const configPath = path.join(process.cwd(), 'config.ini');
-    const configContent = await fs.readFile(configPath, 'utf8');
-    const config = ini.parse(configContent);
-    
-    if (config.project && config.project.id) {
-      return config.project.id;
-    }
-    return null;
-  } catch (error) {
-    return null;
-  }
-}
-
-// Get workflow ID from workflow.json
-async function getWorkflowIdFromLocal() {
-  try {
-    // If in a workflow directory, try to read from workflow.json
-    const workflowJsonPath = path.join(process.cwd(), 'workflow.json');
-    const workflowData = JSON.parse(await fs.readFile(workflowJsonPath, 'utf8'));
-    if (workflowData && workflowData.id) {
-      return workflowData.id;
-    }
-  } catch (error) {
-    // Not in a workflow directory, that's okay
-  }
-  
-  // If in a workflows/{id} directory
-  try {
-    const currentDir = process.cwd();
-    const dirName = path.basename(currentDir);
-    const parentDir = path.basename(path.dirname(currentDir));
-    
-    if (parentDir === 'workflows') {
-      const workflowJsonPath = path.join(currentDir, 'workflow.json');
-      const workflowData = JSON.parse(await fs.readFile(workflowJsonPath, 'utf8'));
-      if (workflowData && workflowData.id) {
-        return workflowData.id;
-      } else {
-        return dirName; // Assume the directory name is the workflow ID
-      }
-    }
-  } catch (error) {
-    // Not in the expected directory structure, that's okay
-  }
-  
-  return null;
-}
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError } = require('../lib/errors');
+const { getProjectIdFromConfig } = require('../lib/project-config');
+const { findHttpTrigger, findWorkflowDir, normalizeWorkflow, readWorkflowJson } = require('../lib/workflow-files');
 
 // Get a nice display name for a component
 function getComponentDisplayName(component) {
   if (component.name) {
     return component.name;
   }
-  
+
   if (component.source && component.source.name) {
     return component.source.name;
   }
@@ -115,15 +20,15 @@ function getComponentDisplayName(component) {
   if (component.key) {
     return `${component.app || ''} ${component.key}`.trim();
   }
-  
+
   if (component.type === 'source' || component.type === 'trigger') {
     return `${component.app || ''} Trigger`.trim();
   }
-  
+
   if (component.type === 'action') {
     return `${component.app || ''} Action`.trim();
   }
-  
+
   return 'Unnamed Component';
 }
 
@@ -132,206 +37,192 @@ function getComponentTypeDisplay(component) {
   if (component.type === 'source' || component.key === 'trigger') {
     return 'Trigger';
   }
-  
+
   if (component.source) {
     return `Trigger (${component.source.type || 'unknown'})`;
   }
-  
+
   if (component.type === 'action') {
     return 'Action';
   }
-  
+
   if (component.type === 'code') {
     return 'Code';
   }
-  
+
   return component.type || 'Unknown';
 }
 
-// Main function to list steps for a workflow
-async function listSteps(options) {
-  try {
-    console.log('Fetching workflow steps...');
-    
-    // Get API key from options or .env
-    const apiKey = options.apiKey || process.env.PIPEDREAM_API_KEY;
-    if (!apiKey) {
-      console.error('Error: API key is required. Provide via --apiKey option or set PIPEDREAM_API_KEY in .env file');
-      process.exit(1);
-    }
-    
-    // Get workflow ID
-    let workflowId = options.workflow;
-    
-    // If workflow ID not provided directly, try to read from local directory or options
-    if (!workflowId) {
-      workflowId = await getWorkflowIdFromLocal();
-      
-      // Get user details to find org ID before listing workflows
-      let orgId = null;
-      try {
-        const userDetails = await makeApiRequest('GET', '/users/me', apiKey);
-        
-        if (userDetails && userDetails.data && userDetails.data.orgs && userDetails.data.orgs.length > 0) {
-          orgId = userDetails.data.orgs[0].id;
-          console.log(`Using workspace (org_id): ${orgId}`);
-        } else {
-          console.error('Error: No workspace found for the user');
-          process.exit(1);
-        }
-      } catch (error) {
-        console.error(`Error getting user details: ${error.message}`);
-        process.exit(1);
-      }
-      
-      // If still no workflow ID and project ID provided, list all workflows and prompt user
-      if (!workflowId && options.project) {
-        console.log(`No workflow ID provided. Listing workflows in project ${options.project}...`);
-        try {
-          const workflows = await makeApiRequest('GET', `/projects/${options.project}/workflows?org_id=${orgId}`, apiKey);
-          
-          if (workflows && workflows.data && workflows.data.length > 0) {
-            console.log('\nAvailable workflows:');
-            workflows.data.forEach((workflow, index) => {
-              console.log(`${index + 1}. ${workflow.name} (${workflow.id})`);
-            });
-            
-            console.log('\nPlease use --workflow <id> to specify which workflow to retrieve steps for.');
-            return;
-          } else {
-            console.log('No workflows found in the project.');
-            return;
-          }
-        } catch (error) {
-          console.error(`Error fetching workflows: ${error.message}`);
-          return;
-        }
-      } else if (!workflowId && !options.project) {
-        // Try to get project ID from config.ini
-        const projectId = await getProjectIdFromConfig();
-        
-        if (projectId) {
-          console.log(`No workflow ID provided. Listing workflows in project ${projectId}...`);
-          try {
-            const workflows = await makeApiRequest('GET', `/projects/${projectId}/workflows?org_id=${orgId}`, apiKey);
-            
-            if (workflows && workflows.data && workflows.data.length > 0) {
-              console.log('\nAvailable workflows:');
-              workflows.data.forEach((workflow, index) => {
-                console.log(`${index + 1}. ${workflow.name} (${workflow.id})`);
-              });
-              
-              console.log('\nPlease use --workflow <id> to specify which workflow to retrieve steps for.');
-              return;
-            } else {
-              console.log('No workflows found in the project.');
-              return;
-            }
-          } catch (error) {
-            console.error(`Error fetching workflows: ${error.message}`);
-            return;
-          }
-        } else {
-          console.error('Error: Workflow ID is required. Please provide --workflow <id> or run this command from a workflow directory.');
-          process.exit(1);
-        }
-      }
+// List the steps of a workflow. Without a workflow ID (from options or the
+// current workflow directory) it returns the project's workflows instead, so
+// the caller can pick one.
+async function listSteps(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  logger.log('Fetching workflow steps...');
+
+  const client = requireApiClient(options);
+
+  // Get workflow ID from options or the local workflow directory
+  const workflowDir = options.workflow ? null : await findWorkflowDir({ cwd });
+  const metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+  const workflowId = options.workflow || (metadata && metadata.id);
+
+  // Determine the workspace (org); resolved once per run
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  if (!workflowId) {
+    const projectId = options.project || await getProjectIdFromConfig(cwd);
+
+    if (!projectId) {
+      throw new ConfigurationError('Workflow ID is required. Please provide --workflow <id> or run this command from a workflow directory.');
     }
-    
-    if (!workflowId) {
-      console.error('Error: Workflow ID is required. Please provide --workflow <id> or run this command from a workflow directory.');
-      process.exit(1);
+
+    logger.log(`No workflow ID provided. Listing workflows in project ${projectId}...`);
+    const workflows = await client.listProjectWorkflows(projectId, orgId);
+
+    return {
+      project_id: projectId,
+      workflows: ((workflows && workflows.data) || []).map(workflow => ({ id: workflow.id, name: workflow.name }))
+    };
+  }
+
+  // Fetch workflow details
+  logger.log(`Fetching details for workflow ${workflowId}...`);
+  const workflow = await client.getWorkflow(workflowId, orgId);
+
+  if (!workflow || !workflow.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const workflowName = workflow.data.name || (workflow.data.settings && workflow.data.settings.name) || 'Unnamed Workflow';
+
+  const httpTrigger = findHttpTrigger(workflow.data);
+
+  return {
+    workflow_id: workflowId,
+    workflow_name: workflowName,
+    workflow_url: `https://pipedream.com/workflows/${workflowId}`,
+    steps: workflow.data.components
+      ? workflow.data.components.map(component => describeComponent(component, httpTrigger, options))
+      : describeWorkflowSteps(workflow.data, workflowId)
+  };
+}
+
+// Step summary for one entry of a `components` array
+function describeComponent(component, httpTrigger, options) {
+  const step = {
+    name: getComponentDisplayName(component),
+    type: getComponentTypeDisplay(component),
+    app: component.app || null
+  };
+
+  // For triggers, add the webhook URL or schedule
+  if (step.type.includes('Trigger')) {
+    if (component.app === 'http' && httpTrigger) {
+      step.webhook_url = httpTrigger.endpoint_url;
+    } else if (component.app === 'schedule' && component.source && component.source.cron) {
+      step.schedule = component.source.cron;
     }
-    
-    // Get user details to find org ID
-    console.log('Fetching user details to determine workspace...');
-    let orgId = null;
-    try {
-      const userDetails = await makeApiRequest('GET', '/users/me', apiKey);
-      
-      if (!userDetails || !userDetails.data || !userDetails.data.id) {
-        console.error('Error: Failed to fetch user details');
-        process.exit(1);
-      }
-      
-      // Get the first organization (workspace) from the user's details
-      if (userDetails.data.orgs && userDetails.data.orgs.length > 0) {
-        orgId = userDetails.data.orgs[0].id;
-        console.log(`Using workspace (org_id): ${orgId}`);
-      } else {
-        console.error('Error: No workspace found for the user');
-        process.exit(1);
+  }
+
+  if (options.detailed) {
+    step.source = component.source;
+    step.options = component.options;
+  }
+
+  return step;
+}
+
+// Step summaries for workflows returned with separate `triggers`/`steps`
+// arrays (e.g. right after push or add-step)
+function describeWorkflowSteps(data, workflowId) {
+  const { triggers, steps } = normalizeWorkflow({ id: workflowId, ...data });
+
+  return [
+    ...triggers.map(trigger => ({
+      name: `${trigger.type} Trigger`,
+      type: `Trigger (${trigger.type})`,
+      app: trigger.type,
+      ...(trigger.endpoint_url ? { webhook_url: trigger.endpoint_url } : {}),
+      ...(trigger.schedule ? { schedule: trigger.schedule } : {})
+    })),
+    ...steps.map(step => ({
+      name: step.name,
+      type: step.type === 'code' ? 'Code' : 'Action',
+      app: step.app || null,
+      ...(step.component_key ? { component_key: step.component_key } : {})
+    }))
+  ];
+}
+
+// CLI action for list-steps
+async function listStepsCommand(options) {
+  await runCommand(async () => {
+    const result = await listSteps(cliOptions(options));
+
+    // No workflow selected: show the project's workflows to choose from
+    if (!result.workflow_id) {
+      if (result.workflows.length === 0) {
+        console.log('No workflows found in the project.');
+        return result;
       }
-    } catch (error) {
-      console.error(`Error getting user details: ${error.message}`);
-      process.exit(1);
-    }
-    
-    // Fetch workflow details
-    console.log(`Fetching details for workflow ${workflowId}...`);
-    const workflow = await makeApiRequest('GET', `/workflows/${workflowId}?org_id=${orgId}`, apiKey);
-    
-    if (!workflow || !workflow.data) {
-      console.error('Error: Failed to fetch workflow details');
-      process.exit(1);
+
+      console.log('\nAvailable workflows:');
+      result.workflows.forEach((workflow, index) => {
+        console.log(`${index + 1}. ${workflow.name} (${workflow.id})`);
+      });
+
+      console.log('\nPlease use --workflow <id> to specify which workflow to retrieve steps for.');
+      return result;
     }
-    
-    const workflowName = workflow.data.name || 'Unnamed Workflow';
-    const workflowUrl = `https://pipedream.com/workflows/${workflowId}`;
-    console.log(`\nWorkflow: ${workflowName} (${workflowId})`);
-    console.log(`URL: ${workflowUrl}`);
-    
-    // Extract components/steps
-    const components = workflow.data.components || [];
-    
-    if (components.length === 0) {
+
+    console.log(`\nWorkflow: ${result.workflow_name} (${result.workflow_id})`);
+    console.log(`URL: ${result.workflow_url}`);
+
+    if (result.steps.length === 0) {
       console.log('\nNo steps found for this workflow.');
-      return;
+      return result;
     }
-    
-    console.log(`\nSteps (${components.length} total):`);
+
+    console.log(`\nSteps (${result.steps.length} total):`);
     console.log('-'.repeat(70));
-    
-    components.forEach((component, index) => {
-      const displayName = getComponentDisplayName(component);
-      const typeDisplay = getComponentTypeDisplay(component);
-      const appName = component.app || '';
-      
-      console.log(`${index + 1}. ${displayName} [${typeDisplay}]`);
-      
-      if (appName) {
-        console.log(`   App: ${appName}`);
+
+    result.steps.forEach((step, index) => {
+      console.log(`${index + 1}. ${step.name} [${step.type}]`);
+
+      if (step.app) {
+        console.log(`   App: ${step.app}`);
       }
-      
-      // For triggers, display special info
-      if (typeDisplay.includes('Trigger')) {
-        if (appName === 'http') {
-          const webhookUrl = `https://webhook.pipedream.com/v1/sources/${workflowId}/events`;
-          console.log(`   Webhook URL: ${webhookUrl}`);
-        } else if (appName === 'schedule' && component.source && component.source.cron) {
-          console.log(`   Schedule: ${component.source.cron}`);
-        }
+
+      if (step.component_key) {
+        console.log(`   Component: ${step.component_key}`);
+      }
+
+      if (step.webhook_url) {
+        console.log(`   Webhook URL: ${step.webhook_url}`);
+      } else if (step.schedule) {
+        console.log(`   Schedule: ${step.schedule}`);
       }
-      
+
       // Show more details if requested
       if (options.detailed) {
         console.log('   Details:');
-        if (component.source) {
-          console.log(`   Source: ${JSON.stringify(component.source, null, 2)}`);
+        if (step.source) {
+          console.log(`   Source: ${JSON.stringify(step.source, null, 2)}`);
         }
-        if (component.options) {
-          console.log(`   Options: ${JSON.stringify(component.options, null, 2)}`);
+        if (step.options) {
+          console.log(`   Options: ${JSON.stringify(step.options, null, 2)}`);
         }
       }
-      
+
       console.log('-'.repeat(70));
     });
-    
-    return components;
-  } catch (error) {
-    console.error('Error listing workflow steps:', error.message);
-    process.exit(1);
-  }
+
+    return result;
+  });
 }
 
-module.exports = { listSteps };
\ No newline at end of file
+module.exports = { listSteps, listStepsCommand };
@@ -0,0 +1,111 @@
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, ValidationError } = require('../lib/errors');
+const { getProjectIdFromConfig } = require('../lib/project-config');
+const { normalizeWorkflow } = require('../lib/workflow-files');
+const { triggerLabel } = require('../lib/triggers');
+const { printTable } = require('../lib/table');
+require('dotenv').config();
+
+function getState(workflow) {
+  if (workflow.active === true) {
+    return 'active';
+  }
+  if (workflow.active === false) {
+    return 'inactive';
+  }
+  return 'unknown';
+}
+
+// List the workflows of a project, optionally filtered by name, state and
+// trigger type
+async function listWorkflows(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const logger = getLogger(options);
+
+  if (options.state && !['active', 'inactive'].includes(options.state)) {
+    throw new ValidationError('--state must be "active" or "inactive"');
+  }
+
+  const client = requireApiClient(options);
+
+  const projectId = options.project || await getProjectIdFromConfig(cwd);
+  if (!projectId) {
+    throw new ConfigurationError('Project ID is required. Provide via --project option or run this command from a project directory with config.ini');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+  logger.log(`Fetching workflows in project ${projectId}...`);
+
+  const response = await client.listProjectWorkflows(projectId, orgId);
+  let workflows = ((response && response.data) || []).map(workflow => ({
+    id: workflow.id,
+    name: workflow.name || 'Unnamed Workflow',
+    state: getState(workflow),
+    updated_at: workflow.updated_at || ''
+  }));
+
+  if (options.name) {
+    const needle = options.name.toLowerCase();
+    workflows = workflows.filter(workflow => workflow.name.toLowerCase().includes(needle));
+  }
+
+  if (options.state) {
+    workflows = workflows.filter(workflow => workflow.state === options.state);
+  }
+
+  // The list endpoint doesn't include triggers, so filtering by trigger
+  // type needs the details of every remaining workflow
+  if (options.trigger) {
+    logger.log(`Fetching trigger details for ${workflows.length} workflow(s)...`);
+
+    for (const workflow of workflows) {
+      const details = await client.getWorkflow(workflow.id, orgId);
+      const { triggers } = normalizeWorkflow({ id: workflow.id, ...(details && details.data) });
+      workflow.trigger = triggers.map(triggerLabel).join(', ') || 'none';
+    }
+
+    workflows = workflows.filter(workflow => workflow.trigger.split(', ').includes(options.trigger));
+  }
+
+  return { project_id: projectId, org_id: orgId, workflows };
+}
+
+// CLI action for list-workflows
+async function listWorkflowsCommand(options) {
+  await runCommand(async () => {
+    const result = await listWorkflows(cliOptions(options));
+    const { workflows } = result;
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (workflows.length === 0) {
+      console.log('No workflows found.');
+      return result;
+    }
+
+    const columns = [
+      { key: 'id', header: 'ID' },
+      { key: 'name', header: 'NAME' },
+      { key: 'state', header: 'STATE' }
+    ];
+
+    if (options.trigger) {
+      columns.push({ key: 'trigger', header: 'TRIGGER' });
+    }
+
+    columns.push({ key: 'updated_at', header: 'UPDATED' });
+
+    console.log('');
+    printTable(workflows, columns);
+    console.log(`\n${workflows.length} workflow(s)`);
+
+    return result;
+  });
+}
+
+module.exports = { listWorkflows, listWorkflowsCommand };
@@ -0,0 +1,200 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { printTable } = require('../lib/table');
+const { eventSummary, eventToFixture, formatDuration, normalizeEvent } = require('../lib/events');
+const { findWorkflowDir, readWorkflowJson } = require('../lib/workflow-files');
+require('dotenv').config();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Pages of MAX_LIMIT events searched for --event before giving up
+const MAX_SEARCH_PAGES = 10;
+
+function parseLimit(value) {
+  if (value === undefined) {
+    return DEFAULT_LIMIT;
+  }
+
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`--limit must be a number between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+// One page of events, newest first
+async function fetchEventPage(client, workflowId, orgId, { errors, limit, before }) {
+  const params = { limit, before };
+  const response = errors
+    ? await client.listWorkflowErrors(workflowId, orgId, params)
+    : await client.listWorkflowEvents(workflowId, orgId, params);
+
+  const pageInfo = (response && response.page_info) || {};
+  const events = ((response && response.data) || []).map(item => normalizeEvent(item, { errorStream: errors }));
+
+  return {
+    events,
+    // A short page is the last one, whatever the cursor says
+    next_cursor: events.length === limit && pageInfo.end_cursor ? pageInfo.end_cursor : null
+  };
+}
+
+async function findEvent(client, workflowId, orgId, eventId, { errors, before }) {
+  let cursor = before;
+
+  for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+    const result = await fetchEventPage(client, workflowId, orgId, { errors, limit: MAX_LIMIT, before: cursor });
+    const event = result.events.find(candidate => candidate.id === eventId);
+
+    if (event || !result.next_cursor) {
+      return event || null;
+    }
+    cursor = result.next_cursor;
+  }
+
+  return null;
+}
+
+function fileNameFor(name) {
+  return `${name.replace(/[^\w.-]+/g, '_') || 'step'}.json`;
+}
+
+async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(data === undefined ? null : data, null, 2)}\n`);
+  return filePath;
+}
+
+// Write an event to outputDir:
+//   summary.json       status, duration, failing step and error
+//   event.json         the trigger payload as received
+//   input.json         the payload as a fixture for invoke / pdcreator test
+//   exports/<step>.json the exports of each step
+async function dumpEvent(event, outputDir) {
+  const files = [
+    await writeJson(path.join(outputDir, 'summary.json'), eventSummary(event)),
+    await writeJson(path.join(outputDir, 'event.json'), event.trigger_event),
+    await writeJson(path.join(outputDir, 'input.json'), eventToFixture(event.trigger_event))
+  ];
+
+  for (const step of event.steps) {
+    files.push(await writeJson(path.join(outputDir, 'exports', fileNameFor(step.name)), step.exports));
+  }
+
+  return files;
+}
+
+// Page through the event history of a workflow (or only its errors), or
+// dump one event's trigger payload and step exports to files with
+// options.event
+async function logs(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  const workflowDir = await findWorkflowDir({ id: options.workflow, cwd });
+  const metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+  const local = metadata && (!options.workflow || metadata.id === options.workflow) ? { dir: workflowDir, metadata } : null;
+  const workflowId = options.workflow || (local && local.metadata.id);
+
+  if (!workflowId) {
+    throw new ConfigurationError('Workflow is required. Provide --workflow <id> or run this command from a workflow directory.');
+  }
+
+  const limit = parseLimit(options.limit);
+  const errors = Boolean(options.errors);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, {
+    ...options,
+    cwd,
+    org: options.org || (local && local.metadata.org_id) || undefined
+  });
+
+  if (options.event) {
+    logger.log(`Looking for event ${options.event} in workflow ${workflowId}...`);
+    const event = await findEvent(client, workflowId, orgId, String(options.event), { errors, before: options.before });
+
+    if (!event) {
+      throw new PdManagerError(`Event ${options.event} not found in workflow ${workflowId} (searched the latest ${MAX_SEARCH_PAGES * MAX_LIMIT} ${errors ? 'errors' : 'events'})`);
+    }
+
+    // Next to the workflow's test fixtures when there is a local copy
+    const outputDir = options.output
+      ? path.resolve(cwd, options.output)
+      : path.join(local ? path.join(local.dir, 'tests', 'fixtures', 'events') : path.join(cwd, 'events'), event.id);
+
+    const files = await dumpEvent(event, outputDir);
+    logger.log(`Wrote ${files.length} file(s) to ${outputDir}`);
+
+    return {
+      workflow_id: workflowId,
+      event: eventSummary(event),
+      output_dir: outputDir,
+      files
+    };
+  }
+
+  logger.log(`Fetching ${errors ? 'errors' : 'events'} of workflow ${workflowId}...`);
+  const page = await fetchEventPage(client, workflowId, orgId, { errors, limit, before: options.before });
+
+  return {
+    workflow_id: workflowId,
+    events: page.events.map(eventSummary),
+    next_cursor: page.next_cursor
+  };
+}
+
+// CLI action for logs
+async function logsCommand(options) {
+  await runCommand(async () => {
+    const result = await logs(cliOptions(options));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (result.event) {
+      const { event } = result;
+      console.log(`\nEvent ${event.id} (${event.timestamp || 'unknown time'}): ${event.status}`);
+      if (event.failed_step) {
+        console.log(`Failed at step ${event.failed_step}: ${event.error || ''}`.trimEnd());
+      }
+      console.log(`\nWrote to ${result.output_dir}:`);
+      result.files.forEach(file => console.log(`  ${path.relative(result.output_dir, file)}`));
+      console.log('');
+      return result;
+    }
+
+    if (result.events.length === 0) {
+      console.log(`\nNo ${options.errors ? 'errors' : 'events'} found for workflow ${result.workflow_id}\n`);
+      return result;
+    }
+
+    console.log('');
+    printTable(result.events.map(event => ({
+      ...event,
+      timestamp: event.timestamp || '',
+      duration: formatDuration(event.duration_ms),
+      failed_step: event.failed_step ? `${event.failed_step}${event.error ? `: ${event.error}` : ''}` : ''
+    })), [
+      { key: 'timestamp', header: 'TIMESTAMP' },
+      { key: 'id', header: 'EVENT ID' },
+      { key: 'status', header: 'STATUS' },
+      { key: 'duration', header: 'DURATION' },
+      { key: 'failed_step', header: 'FAILED STEP' }
+    ]);
+
+    if (result.next_cursor) {
+      console.log(`\nOlder events: pdmanager logs --workflow ${result.workflow_id}${options.errors ? ' --errors' : ''} --before ${result.next_cursor}`);
+    }
+    console.log(`Dump an event: pdmanager logs --workflow ${result.workflow_id}${options.errors ? ' --errors' : ''} --event <event id>\n`);
+
+    return result;
+  });
+}
+
+module.exports = { logs, logsCommand };
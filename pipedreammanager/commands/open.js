@@ -1,9 +1,10 @@
 const puppeteer = require('puppeteer');
-const https = require('https');
 const fs = require('fs').promises;
 const path = require('path');
-const ini = require('ini');
 const { v4: uuidv4 } = require('uuid');
+const { createApiClient } = require('../lib/api-client');
+const { findConfigPath, readConfig } = require('../lib/project-config');
+const { printResult } = require('../lib/output');
 require('dotenv').config();
 
 async function sleep(ms) {
@@ -59,62 +60,16 @@ class Logger {
 }
 
 async function fetchCookie(apiKey) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.pipedream.com',
-      path: '/v1/users/me',
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          // Check if the API key is valid
-          if (res.statusCode === 200) {
-            const parsedData = JSON.parse(data);
-            resolve({ success: true, email: parsedData.data.email });
-          } else {
-            reject(new Error('Authentication failed with status: ' + res.statusCode));
-          }
-        } catch (e) {
-          reject(new Error('Failed to parse response: ' + e.message));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    req.end();
-  });
-}
-
-async function findConfigFile() {
-  // Check current directory for config.ini
+  const client = createApiClient({ apiKey });
+  
   try {
-    const configPath = path.join(process.cwd(), 'config.ini');
-    await fs.access(configPath);
-    return { path: configPath, inCurrent: true };
-  } catch (err) {
-    // Config not in current directory, check if we're in a subdirectory of a project
-    try {
-      const parentDir = path.dirname(process.cwd());
-      const parentConfigPath = path.join(parentDir, 'config.ini');
-      await fs.access(parentConfigPath);
-      return { path: parentConfigPath, inCurrent: false };
-    } catch (err) {
-      return null;
+    const userDetails = await client.getMe();
+    return { success: true, email: userDetails.data.email };
+  } catch (error) {
+    if (error.statusCode) {
+      throw new Error('Authentication failed with status: ' + error.statusCode);
     }
+    throw error;
   }
 }
 
@@ -137,10 +92,10 @@ async function open(options) {
   if (!projectId) {
     await logger.log('No project ID provided, looking for config.ini...');
     
-    const configFile = await findConfigFile();
-    if (configFile) {
+    const configPath = await findConfigPath();
+    if (configPath) {
       try {
-        const configData = ini.parse(await fs.readFile(configFile.path, 'utf-8'));
+        const configData = await readConfig(configPath);
         
         if (configData.project && configData.project.id) {
           projectId = configData.project.id;
@@ -155,7 +110,7 @@ async function open(options) {
         await logger.log(`Error reading config file: ${err.message}`);
       }
     } else {
-      await logger.log('No config.ini found in current or parent directory');
+      await logger.log('No config.ini found in this or any parent directory');
     }
   }
   
@@ -163,7 +118,7 @@ async function open(options) {
   if (!projectId) {
     await logger.log('ERROR: Project ID is required. Provide it via --project option or config.ini file');
     console.log('\n' + '-'.repeat(50));
-    console.log('❌ Cannot open project: No project ID provided');
+    console.error('❌ Cannot open project: No project ID provided');
     console.log('   Please provide a project ID with --project option');
     console.log('   or run this command from a project directory with config.ini');
     console.log('-'.repeat(50) + '\n');
@@ -358,6 +313,13 @@ async function open(options) {
     console.log(`   - Press Ctrl+C in this terminal when you want to close the browser.`);
     console.log('-'.repeat(50) + '\n');
     
+    printResult({
+      project_id: projectId,
+      project_name: projectName,
+      url: finalUrl,
+      log_file: logger.logPath
+    });
+    
     // Keep the process running until user terminates it
     await new Promise(() => {});
     
@@ -368,7 +330,7 @@ async function open(options) {
     }
     
     console.log('\n' + '-'.repeat(50));
-    console.log('❌ Failed to open project!');
+    console.error('❌ Failed to open project!');
     console.log(`   - Log file: ${logger.logPath}`);
     console.log('-'.repeat(50) + '\n');
     
@@ -0,0 +1,223 @@
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, ConflictError, PdManagerError, ValidationError } = require('../lib/errors');
+const { getProjectIdFromConfig } = require('../lib/project-config');
+const { MANIFEST_FILE, findManifestPath, readManifest } = require('../lib/manifest');
+const { normalizeWorkflow } = require('../lib/workflow-files');
+const { diffWorkflow } = require('../lib/workflow-diff');
+const { describeTrigger, sameTrigger } = require('../lib/triggers');
+const { printChanges } = require('./push');
+require('dotenv').config();
+
+// Compare a manifest workflow with the deployed one: settings and steps as in
+// push, plus the trigger and the active state
+function diffManifestWorkflow(desired, remote) {
+  const diff = diffWorkflow(desired, remote);
+  const trigger = sameTrigger(desired.triggers[0], remote.triggers[0])
+    ? null
+    : { local: desired.triggers[0] || null, remote: remote.triggers[0] || null };
+  const active = desired.active !== undefined && desired.active !== remote.active
+    ? { local: desired.active, remote: remote.active }
+    : null;
+
+  return {
+    ...diff,
+    trigger,
+    active,
+    hasChanges: diff.hasChanges || Boolean(trigger) || Boolean(active)
+  };
+}
+
+function summarizeChanges(diff) {
+  return [
+    ...diff.settings.map(change => change.field),
+    ...(diff.trigger ? ['trigger'] : []),
+    ...(diff.active ? ['active'] : []),
+    ...(diff.steps.length > 0 ? [`${diff.steps.length} step(s)`] : [])
+  ].join(', ');
+}
+
+// Load the manifest and work out the actions that make the remote project
+// match it. Workflows are matched by name; deployed workflows the manifest
+// doesn't list are only deleted with options.prune, and kept otherwise.
+async function computePlan(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  const manifestPath = options.file
+    ? path.resolve(cwd, options.file)
+    : await findManifestPath(cwd);
+
+  if (!manifestPath) {
+    throw new ConfigurationError(`${MANIFEST_FILE} not found. Create it in the project root or pass --file <path>.`);
+  }
+
+  const manifest = await readManifest(manifestPath);
+  const client = requireApiClient(options);
+
+  const projectDir = path.dirname(manifestPath);
+  const projectId = options.project || manifest.project || await getProjectIdFromConfig(projectDir);
+  if (!projectId) {
+    throw new ConfigurationError(`Project ID is required. Provide via --project option, "project" in ${MANIFEST_FILE} or config.ini`);
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd: projectDir });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  logger.log(`Fetching workflows in project ${projectId}...`);
+  const response = await client.listProjectWorkflows(projectId, orgId);
+  const remoteWorkflows = (response && response.data) || [];
+
+  const remoteByName = new Map();
+  remoteWorkflows.forEach(workflow => {
+    const name = workflow.name || (workflow.settings && workflow.settings.name);
+    remoteByName.set(name, [...(remoteByName.get(name) || []), workflow]);
+  });
+
+  const actions = [];
+
+  for (const desired of manifest.workflows) {
+    const matches = remoteByName.get(desired.name) || [];
+
+    if (matches.length > 1) {
+      throw new ConflictError(`Project ${projectId} has ${matches.length} workflows named "${desired.name}" (${matches.map(match => match.id).join(', ')}). Rename or delete the duplicates first.`);
+    }
+
+    if (matches.length === 0) {
+      actions.push({ action: 'create', name: desired.name, workflow_id: null, changes: 'new workflow', desired, diff: null });
+      continue;
+    }
+
+    const workflowId = matches[0].id;
+    logger.log(`Fetching workflow ${workflowId}...`);
+    const remoteResponse = await client.getWorkflow(workflowId, orgId);
+
+    if (!remoteResponse || !remoteResponse.data) {
+      throw new PdManagerError(`Failed to fetch workflow details of ${workflowId}`);
+    }
+
+    const remote = normalizeWorkflow({ id: workflowId, ...remoteResponse.data });
+
+    // Triggers can be added and replaced through the API, not removed
+    if (!desired.triggers[0] && remote.triggers[0]) {
+      throw new ValidationError(`"${desired.name}" has no trigger in ${MANIFEST_FILE}, but the deployed workflow has a ${describeTrigger(remote.triggers[0])} trigger. Removing a trigger is not supported; add it to the manifest, or remove it in the Pipedream UI first.`);
+    }
+
+    const diff = diffManifestWorkflow(desired, remote);
+
+    actions.push({
+      action: diff.hasChanges ? 'update' : 'unchanged',
+      name: desired.name,
+      workflow_id: workflowId,
+      changes: diff.hasChanges ? summarizeChanges(diff) : '',
+      desired,
+      diff
+    });
+  }
+
+  const desiredNames = new Set(manifest.workflows.map(workflow => workflow.name));
+  remoteWorkflows
+    .filter(workflow => !desiredNames.has(workflow.name || (workflow.settings && workflow.settings.name)))
+    .forEach(workflow => {
+      actions.push({
+        action: options.prune ? 'delete' : 'unmanaged',
+        name: workflow.name || (workflow.settings && workflow.settings.name) || 'Unnamed Workflow',
+        workflow_id: workflow.id,
+        changes: options.prune ? 'not in manifest' : 'not in manifest, kept (--prune deletes it)',
+        desired: null,
+        diff: null
+      });
+    });
+
+  const count = (type) => actions.filter(action => action.action === type).length;
+
+  return {
+    manifest: manifestPath,
+    project_dir: projectDir,
+    project_id: projectId,
+    org_id: orgId,
+    actions,
+    summary: {
+      create: count('create'),
+      update: count('update'),
+      delete: count('delete'),
+      unchanged: count('unchanged') + count('unmanaged')
+    }
+  };
+}
+
+// Plan actions without the manifest and diff details, for results
+function planResult(computed) {
+  const { actions, ...rest } = computed;
+
+  return {
+    ...rest,
+    actions: actions.map(action => ({
+      action: action.action,
+      name: action.name,
+      workflow_id: action.workflow_id,
+      changes: action.changes
+    }))
+  };
+}
+
+function printPlan(computed, logger = console) {
+  logger.log(`\nPlan for project ${computed.project_id} (${path.basename(computed.manifest)}):\n`);
+
+  const changed = computed.actions.filter(action => action.action !== 'unchanged');
+  if (changed.length === 0) {
+    logger.log('No changes. The project matches the manifest.');
+  }
+
+  changed.forEach(action => {
+    const symbol = { create: '+', update: '~', delete: '-', unmanaged: '?' }[action.action];
+    logger.log(`${symbol} ${action.action} ${action.name}${action.workflow_id ? ` (${action.workflow_id})` : ''}`);
+
+    if (action.action === 'create') {
+      logger.log(`   trigger: ${describeTrigger(action.desired.triggers[0])}`);
+      action.desired.steps.forEach(step => logger.log(`   + step ${step.name}`));
+    } else if (action.action === 'update') {
+      if (action.diff.trigger) {
+        logger.log(`   ~ trigger: ${describeTrigger(action.diff.trigger.remote)} -> ${describeTrigger(action.diff.trigger.local)}`);
+      }
+      if (action.diff.active) {
+        logger.log(`   ~ active: ${action.diff.active.remote === undefined ? 'unknown' : action.diff.active.remote} -> ${action.diff.active.local}`);
+      }
+      printChanges(action.diff, logger);
+    }
+  });
+
+  const { summary } = computed;
+  logger.log(`\nPlan: ${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete, ${summary.unchanged} unchanged.`);
+}
+
+// Compute the create/update/delete actions that would make the remote
+// project match pipedream.yaml, without changing anything
+async function plan(options = {}) {
+  return planResult(await computePlan(options));
+}
+
+// CLI action for plan
+async function planCommand(options) {
+  await runCommand(async () => {
+    const computed = await computePlan(cliOptions(options));
+
+    if (!isJsonMode()) {
+      printPlan(computed);
+      console.log('');
+    }
+
+    return planResult(computed);
+  });
+}
+
+module.exports = {
+  plan,
+  planCommand,
+  computePlan,
+  planResult,
+  printPlan
+};
@@ -0,0 +1,114 @@
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError } = require('../lib/errors');
+const { resolveProject } = require('../lib/project-config');
+const { hashWorkflow, normalizeWorkflow, writeLocalWorkflow } = require('../lib/workflow-files');
+require('dotenv').config();
+
+// Fetch one workflow and write it into workflows/<id>/
+async function pullWorkflow(client, workflowId, orgId, projectId, workflowsDir) {
+  const response = await client.getWorkflow(workflowId, orgId);
+
+  if (!response || !response.data) {
+    throw new PdManagerError('No data returned');
+  }
+
+  const workflow = normalizeWorkflow({ id: workflowId, ...response.data });
+  const workflowDir = path.join(workflowsDir, workflowId);
+
+  const { written } = await writeLocalWorkflow(workflowDir, workflow, {
+    project_id: projectId,
+    org_id: orgId,
+    sync: {
+      pulled_at: new Date().toISOString(),
+      remote_updated_at: workflow.updated_at,
+      remote_hash: hashWorkflow(response.data)
+    }
+  });
+
+  return { workflow, workflowDir, written };
+}
+
+// Pull remote workflows into the local workflows/ tree of the project. Inside
+// a workflow folder only that workflow is pulled. Returns the pulled and
+// failed workflows; a failure of one workflow doesn't stop the others.
+async function pull(options = {}) {
+  const logger = getLogger(options);
+  const project = await resolveProject(options.cwd || process.cwd());
+  const { projectDir } = project;
+
+  logger.log('Pulling workflows from Pipedream...');
+
+  const client = requireApiClient(options);
+
+  // Get project information
+  const projectId = options.project || project.projectId;
+
+  if (!projectId) {
+    throw new ConfigurationError('Project ID is required. Provide via --project option or run this command from a project directory with config.ini');
+  }
+
+  logger.log(`Using project: ${projectId}`);
+
+  const orgId = await resolveOrgId(client, { ...options, cwd: projectDir });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  // Determine which workflows to pull
+  let workflowIds;
+  if (options.workflow || project.workflowId) {
+    workflowIds = [options.workflow || project.workflowId];
+  } else {
+    logger.log(`Listing workflows in project ${projectId}...`);
+    const workflows = await client.listProjectWorkflows(projectId, orgId);
+    workflowIds = ((workflows && workflows.data) || []).map(workflow => workflow.id);
+  }
+
+  const workflowsDir = path.join(projectDir, 'workflows');
+  const pulled = [];
+  const failed = [];
+
+  if (workflowIds.length === 0) {
+    logger.log('No workflows found in the project.');
+    return { project_id: projectId, workflows: pulled, failed };
+  }
+
+  logger.log(`\nPulling ${workflowIds.length} workflow(s):`);
+  logger.log('-'.repeat(50));
+
+  for (const workflowId of workflowIds) {
+    try {
+      const { workflow, workflowDir, written } = await pullWorkflow(client, workflowId, orgId, projectId, workflowsDir);
+
+      pulled.push({ id: workflowId, name: workflow.name, dir: workflowDir, files: written });
+      logger.log(`✅ ${workflow.name} (${workflowId})`);
+      logger.log(`   - Steps: ${workflow.steps.length}`);
+      logger.log(`   - Files: ${written.map(file => path.join(path.relative(projectDir, workflowDir), file)).join(', ')}`);
+    } catch (error) {
+      logger.error(`❌ ${workflowId}: ${error.message}`);
+      failed.push({ id: workflowId, error: error.message });
+    }
+  }
+
+  logger.log('-'.repeat(50));
+  logger.log(`Pulled ${pulled.length} of ${workflowIds.length} workflow(s) into ${workflowsDir}\n`);
+
+  return { project_id: projectId, workflows: pulled, failed };
+}
+
+// CLI action for pull
+async function pullCommand(options) {
+  await runCommand(async () => {
+    const result = await pull(cliOptions(options));
+
+    if (result.failed.length > 0) {
+      throw new PdManagerError(`Failed to pull ${result.failed.length} workflow(s): ${result.failed.map(failure => failure.id).join(', ')}`);
+    }
+
+    return result;
+  });
+}
+
+module.exports = { pull, pullCommand, pullWorkflow };
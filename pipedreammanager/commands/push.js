@@ -0,0 +1,218 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, ConflictError, PdManagerError, ValidationError } = require('../lib/errors');
+const {
+  findWorkflowDir,
+  hashWorkflow,
+  normalizeWorkflow,
+  localToWorkflow,
+  toApiSteps,
+  readLocalWorkflow,
+  restoreTriggerSecrets,
+  writeWorkflowJson
+} = require('../lib/workflow-files');
+const { diffWorkflow } = require('../lib/workflow-diff');
+const { buildTriggerComponent, describeTrigger, sameTrigger } = require('../lib/triggers');
+const { verifyAccounts } = require('../lib/accounts');
+require('dotenv').config();
+
+function formatSetting(value) {
+  return value === undefined || value === null ? 'unset' : JSON.stringify(value);
+}
+
+// Print a one-line summary per changed setting and step
+function printChanges(diff, logger = console) {
+  diff.settings.forEach(change => {
+    logger.log(`   ~ setting ${change.field}: ${formatSetting(change.remote)} -> ${formatSetting(change.local)}`);
+  });
+
+  diff.steps.forEach(step => {
+    if (step.status === 'added') {
+      logger.log(`   + step ${step.name} (added at position ${step.index + 1})`);
+    } else if (step.status === 'removed') {
+      logger.log(`   - step ${step.name} (removed)`);
+    } else {
+      const details = [...step.changes];
+      if (step.moved) {
+        details.push(`moved ${step.remoteIndex + 1} -> ${step.index + 1}`);
+      }
+      logger.log(`   ~ step ${step.name} (${details.join(', ')})`);
+    }
+  });
+}
+
+// Push local workflow changes to Pipedream: the settings, steps and trigger
+// that differ from the deployed version. Refuses with a ConflictError when
+// the deployed workflow changed since the last pull, unless options.force is set,
+// and with a ValidationError when app steps lack their connected accounts,
+// unless options.accountCheck is false. An empty local step list is never
+// pushed over deployed steps, even with options.force.
+async function push(options = {}) {
+  const logger = getLogger(options);
+
+  logger.log('Pushing local workflow changes...');
+
+  const client = requireApiClient(options);
+
+  const workflowDir = await findWorkflowDir(options);
+  if (!workflowDir) {
+    throw new ConfigurationError('Workflow directory not found. Provide --id <id> from the project directory, --workflow-json <path>, or run this command from a workflow directory.');
+  }
+
+  const localFiles = await readLocalWorkflow(workflowDir);
+  const metadata = localFiles.metadata;
+  const workflowId = options.id || metadata.id;
+
+  if (!workflowId) {
+    throw new ConfigurationError(`No workflow ID found in ${path.join(workflowDir, 'workflow.json')}`);
+  }
+
+  // Without workflows/<id>/, findWorkflowDir falls back to the workflow
+  // directory we're in; never push its files over another workflow
+  if (options.id && metadata.id && metadata.id !== options.id) {
+    throw new ConfigurationError(`${path.join(workflowDir, 'workflow.json')} belongs to workflow ${metadata.id}, not ${options.id}. Run "pdmanager pull --workflow ${options.id}" to get a local copy of it first.`);
+  }
+
+  const local = localToWorkflow(localFiles);
+
+  // An explicit --code-js replaces the code of the first code step
+  if (options.codeJs) {
+    const code = await fs.readFile(path.resolve(options.cwd || process.cwd(), options.codeJs), 'utf8');
+    const codeStep = local.steps.find(step => step.type === 'code');
+
+    if (codeStep) {
+      codeStep.code = code;
+    } else {
+      local.steps.unshift({ name: 'code', type: 'code', props: {}, code });
+    }
+  }
+
+  logger.log(`Workflow: ${local.name} (${workflowId})`);
+  logger.log(`Local directory: ${workflowDir}`);
+
+  const orgId = await resolveOrgId(client, { ...options, cwd: workflowDir, org: options.org || metadata.org_id });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  // Compare against the deployed version
+  logger.log('Fetching deployed workflow...');
+  const remoteResponse = await client.getWorkflow(workflowId, orgId);
+
+  if (!remoteResponse || !remoteResponse.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const sync = metadata.sync || {};
+  const remoteHash = hashWorkflow(remoteResponse.data);
+
+  if (!options.force) {
+    if (!sync.remote_hash) {
+      throw new ConflictError(`No pull record found for this workflow, so remote changes cannot be detected. Run "pdmanager pull --workflow ${workflowId}" first, or use --force to overwrite the deployed version.`);
+    }
+
+    if (sync.remote_hash !== remoteHash) {
+      throw new ConflictError(`The deployed workflow changed since the last pull (${sync.pulled_at || 'unknown time'}). Run "pdmanager pull --workflow ${workflowId}" to get the latest version, or use --force to overwrite it.`);
+    }
+  }
+
+  const remote = normalizeWorkflow({ id: workflowId, ...remoteResponse.data });
+
+  // Directories without a step list (create-workflow's placeholder code.js)
+  // read as no steps at all; pushing that would delete every deployed step
+  if (local.steps.length === 0 && remote.steps.length > 0) {
+    throw new ValidationError(`${workflowDir} has no steps, but the deployed workflow has ${remote.steps.length}. Pushing would delete them all. Run "pdmanager pull --workflow ${workflowId}" to get the deployed steps first.`);
+  }
+
+  const stepDiff = diffWorkflow(local, remote);
+  const localTrigger = await restoreTriggerSecrets(workflowDir, local.triggers[0]);
+  const trigger = localTrigger && !sameTrigger(localTrigger, remote.triggers[0])
+    ? { local: localTrigger, remote: remote.triggers[0] || null }
+    : null;
+  const diff = { ...stepDiff, trigger, hasChanges: stepDiff.hasChanges || Boolean(trigger) };
+  const result = {
+    workflow_id: workflowId,
+    workflow_name: local.name,
+    updated: false,
+    settings: diff.settings,
+    trigger: trigger ? { local: describeTrigger(trigger.local), remote: describeTrigger(trigger.remote) } : null,
+    steps: diff.steps.map(step => ({ name: step.name, status: step.status, changes: step.changes }))
+  };
+
+  if (!diff.hasChanges) {
+    logger.log('\nNothing to push: local workflow matches the deployed version.');
+    return result;
+  }
+
+  logger.log('\nChanges:');
+  if (trigger) {
+    logger.log(`   ~ trigger: ${describeTrigger(trigger.remote)} -> ${describeTrigger(trigger.local)}`);
+  }
+  printChanges(diff, logger);
+
+  if (options.accountCheck !== false) {
+    const warnings = await verifyAccounts(client, orgId, [local], logger);
+    if (warnings.length > 0) {
+      result.account_warnings = warnings.map(warning => warning.message);
+    }
+  }
+
+  if (options.dryRun) {
+    logger.log('\nDry run: no changes were pushed.');
+    return { ...result, dry_run: true };
+  }
+
+  // Send the settings that changed, the full local step list when any step
+  // changed, and the trigger when its configuration changed
+  const payload = { org_id: orgId };
+  if (diff.settings.length > 0) {
+    payload.settings = diff.settings.reduce((settings, change) => ({ ...settings, [change.field]: change.local }), {});
+  }
+  if (diff.steps.length > 0) {
+    payload.steps = toApiSteps(local.steps);
+  }
+  const triggerComponent = trigger && buildTriggerComponent(trigger.local, local.name);
+  if (triggerComponent) {
+    payload.components = [triggerComponent];
+  }
+
+  logger.log('\nUpdating workflow via API...');
+  await client.updateWorkflow(workflowId, payload);
+
+  // Record the new remote state so the next push doesn't see our own update as a remote change
+  const updated = await client.getWorkflow(workflowId, orgId);
+  metadata.sync = {
+    ...sync,
+    pushed_at: new Date().toISOString(),
+    remote_updated_at: (updated.data && updated.data.updated_at) || null,
+    remote_hash: hashWorkflow(updated.data)
+  };
+  await writeWorkflowJson(workflowDir, metadata);
+
+  return { ...result, updated: true };
+}
+
+// CLI action for push / update-workflow
+async function pushCommand(options) {
+  await runCommand(async () => {
+    const result = await push(cliOptions(options));
+
+    if (result.updated) {
+      console.log('\n' + '-'.repeat(50));
+      console.log(`✅ Workflow "${result.workflow_name}" updated successfully!`);
+      console.log(`   - Workflow ID: ${result.workflow_id}`);
+      console.log(`   - Settings updated: ${result.settings.length}`);
+      if (result.trigger) {
+        console.log(`   - Trigger updated: ${result.trigger.local}`);
+      }
+      console.log(`   - Steps updated: ${result.steps.length}`);
+      console.log('-'.repeat(50) + '\n');
+    }
+
+    return result;
+  });
+}
+
+module.exports = { push, pushCommand, printChanges };
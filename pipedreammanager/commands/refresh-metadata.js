@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError } = require('../lib/errors');
+const { printTable } = require('../lib/table');
+const { resolveProject } = require('../lib/project-config');
+const {
+  buildWebhookUrl,
+  fileExists,
+  findHttpTrigger,
+  isGuessedWebhookUrl,
+  readWorkflowJson,
+  writeWorkflowJson
+} = require('../lib/workflow-files');
+require('dotenv').config();
+
+// Local workflow directories to refresh: the workflow folder we're in, or the
+// workflows/<id> folders of the project (only workflowId if given)
+async function findLocalWorkflowDirs(project, workflowId) {
+  if (project.workflowDir && (!workflowId || project.workflowId === workflowId)) {
+    return [project.workflowDir];
+  }
+
+  const workflowsDir = path.join(project.projectDir, 'workflows');
+  if (!await fileExists(workflowsDir)) {
+    return [];
+  }
+
+  const entries = await fs.readdir(workflowsDir, { withFileTypes: true });
+  const dirs = [];
+
+  for (const entry of entries) {
+    const dir = path.join(workflowsDir, entry.name);
+    if (entry.isDirectory() && (!workflowId || entry.name === workflowId) &&
+        await fileExists(path.join(dir, 'workflow.json'))) {
+      dirs.push(dir);
+    }
+  }
+
+  return dirs;
+}
+
+// Bring the trigger block and webhook_url of one workflow.json in line with
+// the deployed workflow. Returns the updated metadata and the changed fields.
+function refreshHttpMetadata(metadata, remoteData) {
+  const updated = { ...metadata, ...(metadata.trigger ? { trigger: { ...metadata.trigger } } : {}) };
+  const changes = [];
+  const httpTrigger = findHttpTrigger(remoteData);
+
+  if (!httpTrigger) {
+    if (updated.webhook_url) {
+      delete updated.webhook_url;
+      changes.push('webhook_url');
+    }
+    return { metadata: updated, changes };
+  }
+
+  updated.trigger = { ...(updated.trigger || {}), type: 'http' };
+
+  // Paths next to a made-up URL were generated locally and never reached the API
+  if (updated.trigger.path && isGuessedWebhookUrl(metadata.webhook_url)) {
+    delete updated.trigger.path;
+    changes.push('trigger.path');
+  }
+
+  if (httpTrigger.id && updated.trigger.id !== httpTrigger.id) {
+    updated.trigger.id = httpTrigger.id;
+    changes.push('trigger.id');
+  }
+
+  const webhookUrl = buildWebhookUrl(httpTrigger.endpoint_url, updated.trigger.path);
+  if (updated.webhook_url !== webhookUrl) {
+    updated.webhook_url = webhookUrl;
+    changes.push('webhook_url');
+  }
+
+  return { metadata: updated, changes };
+}
+
+// Repair the webhook URLs of local workflow.json files: replace guessed URLs
+// with the endpoint URL of the deployed HTTP trigger and drop URLs of
+// workflows that have no HTTP trigger
+async function refreshMetadata(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  const project = await resolveProject(cwd);
+
+  const dirs = await findLocalWorkflowDirs(project, options.workflow);
+  if (dirs.length === 0) {
+    throw new ConfigurationError(options.workflow
+      ? `No local workflow ${options.workflow} found in ${path.join(project.projectDir, 'workflows')}`
+      : 'No local workflows found. Run this command from a project or workflow directory.');
+  }
+
+  const client = requireApiClient(options);
+  const rows = [];
+
+  for (const dir of dirs) {
+    const metadata = await readWorkflowJson(dir);
+    const row = { workflow_id: metadata.id || path.basename(dir), name: metadata.name || '', dir };
+
+    try {
+      // Each workflow is fetched from its own workspace; resolveOrgId caches the lookups
+      const orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || metadata.org_id });
+
+      logger.log(`Fetching workflow ${row.workflow_id}...`);
+      const response = await client.getWorkflow(row.workflow_id, orgId);
+
+      if (!response || !response.data) {
+        throw new PdManagerError('No data returned');
+      }
+
+      const refreshed = refreshHttpMetadata(metadata, response.data);
+
+      if (refreshed.changes.length > 0 && !options.dryRun) {
+        await writeWorkflowJson(dir, refreshed.metadata);
+      }
+
+      rows.push({
+        ...row,
+        status: refreshed.changes.length > 0 ? 'updated' : 'unchanged',
+        changes: refreshed.changes,
+        webhook_url: refreshed.metadata.webhook_url || null
+      });
+    } catch (error) {
+      const status = error.statusCode === 404 ? 'not_found' : 'failed';
+      logger.error(`❌ ${row.workflow_id}: ${error.message}`);
+      rows.push({ ...row, status, changes: [], webhook_url: metadata.webhook_url || null, error: error.message });
+    }
+  }
+
+  return {
+    workflows: rows,
+    updated: rows.filter(row => row.status === 'updated').length,
+    failed: rows.filter(row => row.status === 'failed' || row.status === 'not_found').length,
+    ...(options.dryRun ? { dry_run: true } : {})
+  };
+}
+
+// CLI action for refresh-metadata
+async function refreshMetadataCommand(options) {
+  await runCommand(async () => {
+    const result = await refreshMetadata(cliOptions(options));
+
+    if (!isJsonMode()) {
+      console.log('');
+      printTable(result.workflows.map(row => ({
+        ...row,
+        changes: row.changes.join(', '),
+        webhook_url: row.error || row.webhook_url || ''
+      })), [
+        { key: 'workflow_id', header: 'WORKFLOW ID' },
+        { key: 'name', header: 'NAME' },
+        { key: 'status', header: 'STATUS' },
+        { key: 'changes', header: 'CHANGES' },
+        { key: 'webhook_url', header: 'WEBHOOK URL' }
+      ]);
+      console.log(`\n${result.updated} workflow.json file(s) ${result.dry_run ? 'would be ' : ''}updated`);
+    }
+
+    if (result.failed > 0) {
+      throw new PdManagerError(`Could not refresh ${result.failed} workflow(s)`);
+    }
+
+    return result;
+  });
+}
+
+module.exports = { refreshMetadata, refreshMetadataCommand };
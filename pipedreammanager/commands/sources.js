@@ -0,0 +1,401 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, confirmTyped, runCommand } = require('../lib/cli');
+const { PdManagerError, ValidationError } = require('../lib/errors');
+const { printTable } = require('../lib/table');
+const { readTriggerProps } = require('../lib/triggers');
+const { confirmDeletion } = require('./delete-workflow');
+require('dotenv').config();
+
+// Sources are the deployed components behind workflow triggers (dc_...).
+// These commands use the sources endpoints of the REST API:
+//   GET /users/me/sources, GET|PUT|DELETE /sources/{id}, POST /sources,
+//   GET /users/me/subscriptions, POST|DELETE /subscriptions
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50;
+
+// Sources report created_at/updated_at in seconds or milliseconds
+function formatTimestamp(value) {
+  if (!value) {
+    return '';
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return String(value);
+  }
+  return new Date(number < 1e12 ? number * 1000 : number).toISOString();
+}
+
+function summarizeSource(source) {
+  return {
+    id: source.id,
+    name: source.name || source.name_slug || 'Unnamed Source',
+    component_id: source.component_id || null,
+    active: source.active,
+    created_at: formatTimestamp(source.created_at),
+    updated_at: formatTimestamp(source.updated_at)
+  };
+}
+
+function requireSourceId(options) {
+  if (!options.source) {
+    throw new ValidationError('Source ID is required');
+  }
+  return options.source;
+}
+
+async function fetchSource(client, sourceId, orgId) {
+  let response;
+  try {
+    response = await client.getSource(sourceId, orgId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new PdManagerError(`Source ${sourceId} not found`);
+    }
+    throw error;
+  }
+
+  if (!response || !response.data) {
+    throw new PdManagerError(`Source ${sourceId} not found`);
+  }
+  return response.data;
+}
+
+// List the sources of the workspace, optionally filtered by name
+async function listSources(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const logger = getLogger(options);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  logger.log('Fetching sources...');
+
+  const sources = [];
+  let after;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await client.listSources(orgId, { limit: PAGE_SIZE, after });
+    const data = (response && response.data) || [];
+    const cursor = response && response.page_info && response.page_info.end_cursor;
+
+    sources.push(...data);
+    if (data.length < PAGE_SIZE || !cursor) {
+      break;
+    }
+    after = cursor;
+  }
+
+  let rows = sources.map(summarizeSource);
+  if (options.name) {
+    const needle = options.name.toLowerCase();
+    rows = rows.filter(source => source.name.toLowerCase().includes(needle));
+  }
+
+  return { org_id: orgId, sources: rows };
+}
+
+// Details of one source, including its configured props
+async function getSource(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const sourceId = requireSourceId(options);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  return { source: await fetchSource(client, sourceId, orgId) };
+}
+
+// Deploy a local component file as a new source
+async function createSource(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (!options.file) {
+    throw new ValidationError('Component file is required');
+  }
+
+  const componentPath = path.resolve(cwd, options.file);
+  let componentCode;
+  try {
+    componentCode = await fs.readFile(componentPath, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Could not read component file ${componentPath}: ${error.message}`);
+  }
+
+  if (!componentCode.trim()) {
+    throw new ValidationError(`Component file ${componentPath} is empty`);
+  }
+
+  const configuredProps = await readTriggerProps(options.props, cwd);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  const name = options.name || path.basename(componentPath, path.extname(componentPath));
+  logger.log(`Deploying ${componentPath} as source "${name}"...`);
+
+  const response = await client.createSource({
+    component_code: componentCode,
+    name,
+    configured_props: configuredProps,
+    org_id: orgId
+  });
+
+  if (!response || !response.data || !response.data.id) {
+    throw new PdManagerError('Failed to create source');
+  }
+
+  return { source: response.data };
+}
+
+// Change the configured props of a source. Props not in options.props keep
+// their current value.
+async function updateSourceProps(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+  const sourceId = requireSourceId(options);
+
+  if (!options.props) {
+    throw new ValidationError('--props is required: a JSON file with the props to change');
+  }
+
+  const props = await readTriggerProps(options.props, cwd);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  const current = await fetchSource(client, sourceId, orgId);
+  const configuredProps = { ...(current.configured_props || {}), ...props };
+
+  logger.log(`Updating props of source ${sourceId}: ${Object.keys(props).join(', ')}`);
+  const response = await client.updateSource(sourceId, { configured_props: configuredProps, org_id: orgId });
+
+  return {
+    source: (response && response.data) || { ...current, configured_props: configuredProps },
+    changed: Object.keys(props)
+  };
+}
+
+// Delete a source. Needs options.yes or the options.confirm callback, like
+// delete-workflow.
+async function deleteSource(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const logger = getLogger(options);
+  const sourceId = requireSourceId(options);
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  const source = summarizeSource(await fetchSource(client, sourceId, orgId));
+  logger.log(`Source: ${source.name} (${source.id})`);
+
+  if (!await confirmDeletion(options, source.id, `This permanently deletes source ${source.id}; workflows listening to it stop receiving its events.`)) {
+    return { source_id: source.id, name: source.name, deleted: false };
+  }
+
+  await client.deleteSource(source.id, orgId);
+  return { source_id: source.id, name: source.name, deleted: true };
+}
+
+// Subscriptions of the workspace; with options.source only those where the
+// source emits or listens
+async function listSubscriptions(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  const response = await client.listSubscriptions(orgId);
+  const subscriptions = ((response && response.data) || []).map(subscription => ({
+    id: subscription.id || null,
+    emitter_id: subscription.emitter_id,
+    listener_id: subscription.listener_id,
+    event_name: subscription.event_name || ''
+  }));
+
+  return {
+    ...(options.source ? { source_id: options.source } : {}),
+    subscriptions: options.source
+      ? subscriptions.filter(sub => sub.emitter_id === options.source || sub.listener_id === options.source)
+      : subscriptions
+  };
+}
+
+// Send the events of a source to a listener (a workflow or another source),
+// or stop sending them with options.remove
+async function updateSubscription(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const logger = getLogger(options);
+  const sourceId = requireSourceId(options);
+  const listenerId = options.remove || options.add;
+
+  if (!listenerId || (options.add && options.remove)) {
+    throw new ValidationError('Pass either --add <listener> or --remove <listener>');
+  }
+
+  const client = requireApiClient(options);
+  const orgId = await resolveOrgId(client, { ...options, cwd });
+
+  if (options.remove) {
+    logger.log(`Unsubscribing ${listenerId} from ${sourceId}...`);
+    await client.unsubscribe(sourceId, listenerId, options.event, orgId);
+  } else {
+    logger.log(`Subscribing ${listenerId} to ${sourceId}...`);
+    await client.subscribe(sourceId, listenerId, options.event, orgId);
+  }
+
+  return {
+    action: options.remove ? 'removed' : 'added',
+    emitter_id: sourceId,
+    listener_id: listenerId,
+    event_name: options.event || null
+  };
+}
+
+function printSource(source) {
+  console.log('\n' + '-'.repeat(50));
+  console.log(`Source: ${source.name || 'Unnamed Source'} (${source.id})`);
+  if (source.component_id) {
+    console.log(`Component: ${source.component_id}`);
+  }
+  if (source.active !== undefined) {
+    console.log(`Active: ${source.active ? 'yes' : 'no'}`);
+  }
+  if (source.endpoint_url) {
+    console.log(`Endpoint URL: ${source.endpoint_url}`);
+  }
+  if (source.created_at) {
+    console.log(`Created: ${formatTimestamp(source.created_at)}`);
+  }
+  if (source.configured_props && Object.keys(source.configured_props).length > 0) {
+    console.log('Configured props:');
+    console.log(JSON.stringify(source.configured_props, null, 2));
+  }
+  console.log('-'.repeat(50) + '\n');
+}
+
+// CLI action for sources list
+async function listSourcesCommand(options) {
+  await runCommand(async () => {
+    const result = await listSources(cliOptions(options));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (result.sources.length === 0) {
+      console.log('No sources found.');
+      return result;
+    }
+
+    console.log('');
+    printTable(result.sources.map(source => ({
+      ...source,
+      active: source.active === undefined ? 'unknown' : (source.active ? 'yes' : 'no')
+    })), [
+      { key: 'id', header: 'ID' },
+      { key: 'name', header: 'NAME' },
+      { key: 'active', header: 'ACTIVE' },
+      { key: 'created_at', header: 'CREATED' }
+    ]);
+    console.log(`\n${result.sources.length} source(s)`);
+
+    return result;
+  });
+}
+
+// CLI action for sources get
+async function getSourceCommand(source, options) {
+  await runCommand(async () => {
+    const result = await getSource(cliOptions({ ...options, source }));
+    if (!isJsonMode()) {
+      printSource(result.source);
+    }
+    return result;
+  });
+}
+
+// CLI action for sources create
+async function createSourceCommand(file, options) {
+  await runCommand(async () => {
+    const result = await createSource(cliOptions({ ...options, file }));
+    if (!isJsonMode()) {
+      console.log('\n✅ Source created');
+      printSource(result.source);
+    }
+    return result;
+  });
+}
+
+// CLI action for sources update-props
+async function updateSourcePropsCommand(source, options) {
+  await runCommand(async () => {
+    const result = await updateSourceProps(cliOptions({ ...options, source }));
+    if (!isJsonMode()) {
+      console.log(`\n✅ Updated ${result.changed.join(', ')}`);
+      printSource(result.source);
+    }
+    return result;
+  });
+}
+
+// CLI action for sources delete
+async function deleteSourceCommand(source, options) {
+  await runCommand(async () => {
+    const result = await deleteSource({ ...cliOptions({ ...options, source }), confirm: confirmTyped });
+
+    if (!result.deleted) {
+      throw new PdManagerError('Confirmation did not match. Nothing was deleted.');
+    }
+
+    console.log(`\n✅ Source "${result.name}" (${result.source_id}) deleted\n`);
+    return result;
+  });
+}
+
+// CLI action for sources subscriptions: lists the subscriptions, or adds or
+// removes a listener with --add/--remove
+async function subscriptionsCommand(source, options) {
+  await runCommand(async () => {
+    if (options.add || options.remove) {
+      const result = await updateSubscription(cliOptions({ ...options, source }));
+      console.log(`\n✅ ${result.listener_id} ${result.action === 'added' ? 'now receives' : 'no longer receives'} the events of ${result.emitter_id}\n`);
+      return result;
+    }
+
+    const result = await listSubscriptions(cliOptions({ ...options, source }));
+
+    if (isJsonMode()) {
+      return result;
+    }
+
+    if (result.subscriptions.length === 0) {
+      console.log('No subscriptions found.');
+      return result;
+    }
+
+    console.log('');
+    printTable(result.subscriptions, [
+      { key: 'emitter_id', header: 'EMITTER' },
+      { key: 'listener_id', header: 'LISTENER' },
+      { key: 'event_name', header: 'EVENT' }
+    ]);
+    console.log(`\n${result.subscriptions.length} subscription(s)`);
+
+    return result;
+  });
+}
+
+module.exports = {
+  listSources,
+  getSource,
+  createSource,
+  updateSourceProps,
+  deleteSource,
+  listSubscriptions,
+  updateSubscription,
+  listSourcesCommand,
+  getSourceCommand,
+  createSourceCommand,
+  updateSourcePropsCommand,
+  deleteSourceCommand,
+  subscriptionsCommand
+};
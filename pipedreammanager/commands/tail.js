@@ -0,0 +1,362 @@
+const { JSONPath } = require('jsonpath-plus');
+const { ApiError, requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode, printJsonLine } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const { formatDuration, normalizeEvent, normalizeSourceEvent } = require('../lib/events');
+const { readServerSentEvents } = require('../lib/sse');
+const { findWorkflowDir, readWorkflowJson } = require('../lib/workflow-files');
+require('dotenv').config();
+
+const DEFAULT_INTERVAL = 5;
+const PAGE_SIZE = 50;
+// Pages walked back per poll to catch up after a burst or a long outage
+const MAX_CATCHUP_PAGES = 10;
+const SEEN_LIMIT = 1000;
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 60000;
+// Reconnect source streams that stay silent this long
+const STREAM_IDLE_TIMEOUT = 120000;
+const STATUSES = ['success', 'error'];
+
+function parsePositiveInt(value, option, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`${option} must be a positive number`);
+  }
+  return number;
+}
+
+// Predicate for the status, step and JSONPath filters. A JSONPath expression
+// matches when it selects at least one value of the trigger event.
+function buildFilter(options) {
+  if (options.status && !STATUSES.includes(options.status)) {
+    throw new ValidationError(`--status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  if (options.match) {
+    try {
+      JSONPath({ path: options.match, json: { value: { value: null } }, wrap: true });
+    } catch (error) {
+      throw new ValidationError(`Invalid JSONPath expression "${options.match}": ${error.message}`);
+    }
+  }
+
+  return (event) => {
+    if (options.status && event.status !== options.status) {
+      return false;
+    }
+
+    if (options.step && event.failed_step !== options.step &&
+        !event.steps.some(step => step.name === options.step)) {
+      return false;
+    }
+
+    if (options.match) {
+      // Filters that fail on an event's shape (e.g. a missing field) don't match it
+      try {
+        const json = event.trigger_event === undefined ? null : event.trigger_event;
+        return JSONPath({ path: options.match, json, wrap: true }).length > 0;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+// Ids of the events already handled, so a resumed poll or stream never
+// repeats one. Only the most recent SEEN_LIMIT ids are kept.
+function createSeenSet() {
+  const ids = new Set();
+
+  return {
+    has: id => ids.has(id),
+    add(id) {
+      ids.add(id);
+      if (ids.size > SEEN_LIMIT) {
+        ids.delete(ids.values().next().value);
+      }
+    }
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    }
+    signal.addEventListener('abort', done);
+  });
+}
+
+// Network errors, timeouts, rate limits and server errors are worth a retry;
+// other API errors (bad key, unknown workflow) and our own errors are not
+function isRetryable(error) {
+  if (error instanceof ApiError) {
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+  }
+  return !(error instanceof PdManagerError);
+}
+
+// Events newer than the last one seen, oldest first. Walks back through up
+// to maxPages pages until it reaches an event that was already handled.
+async function fetchNewEvents(client, workflowId, orgId, seen, maxPages = MAX_CATCHUP_PAGES) {
+  const fresh = [];
+  let before;
+
+  for (let page = 0; page < maxPages; page++) {
+    const response = await client.listWorkflowEvents(workflowId, orgId, { limit: PAGE_SIZE, before });
+    const items = (response && response.data) || [];
+    const cursor = response && response.page_info && response.page_info.end_cursor;
+    let caughtUp = false;
+
+    for (const item of items) {
+      const event = normalizeEvent(item);
+      if (seen.has(event.id)) {
+        caughtUp = true;
+        break;
+      }
+      fresh.push(event);
+    }
+
+    if (caughtUp || items.length < PAGE_SIZE || !cursor) {
+      break;
+    }
+    before = cursor;
+  }
+
+  return fresh.reverse();
+}
+
+// Poll the event history of a workflow. The first page only sets the
+// starting point (and supplies the --last events).
+async function pollWorkflow(client, target, context) {
+  const { seen, signal, logger } = context;
+  const initial = await fetchNewEvents(client, target.id, target.orgId, seen, 1);
+
+  initial.forEach(event => seen.add(event.id));
+  if (context.last > 0) {
+    initial.filter(context.matches).slice(-context.last).forEach(context.emit);
+  }
+
+  while (!signal.aborted) {
+    await sleep(context.interval, signal);
+    if (signal.aborted) {
+      break;
+    }
+
+    try {
+      const events = await fetchNewEvents(client, target.id, target.orgId, seen);
+      if (context.disconnected) {
+        logger.log('Reconnected.');
+        context.disconnected = false;
+      }
+      context.backoff = MIN_BACKOFF;
+
+      for (const event of events) {
+        seen.add(event.id);
+        context.emit(event);
+        if (signal.aborted) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (!isRetryable(error)) {
+        throw error;
+      }
+      await context.retry(error);
+    }
+  }
+}
+
+// Follow the live event stream of a source, reconnecting with the id of the
+// last event so the server replays what was missed
+async function streamSource(client, target, context) {
+  const { seen, signal, logger } = context;
+  let lastEventId = null;
+
+  while (!signal.aborted) {
+    let response = null;
+    const stop = () => response && response.destroy();
+
+    try {
+      response = await client.streamSourceEvents(target.id, target.orgId, {
+        lastEventId,
+        idleTimeout: STREAM_IDLE_TIMEOUT
+      });
+      if (context.disconnected) {
+        logger.log('Reconnected.');
+        context.disconnected = false;
+      }
+      context.backoff = MIN_BACKOFF;
+      if (signal.aborted) {
+        stop();
+        break;
+      }
+      signal.addEventListener('abort', stop);
+
+      await readServerSentEvents(response, (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          return;
+        }
+
+        const event = normalizeSourceEvent(data, message.id);
+        lastEventId = message.id || event.id;
+
+        if (!seen.has(event.id)) {
+          seen.add(event.id);
+          context.emit(event);
+        }
+      });
+
+      if (!signal.aborted) {
+        throw new Error('Stream closed by the server');
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        break;
+      }
+      if (!isRetryable(error)) {
+        throw error;
+      }
+      await context.retry(error);
+    } finally {
+      signal.removeEventListener('abort', stop);
+    }
+  }
+}
+
+// Follow the new events of a workflow (options.workflow) or source
+// (options.source) until options.signal aborts or options.maxEvents matching
+// events were seen. Every matching event goes to options.onEvent. Dropped
+// connections are retried with backoff and resume after the last event seen.
+async function tail(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+
+  if (options.workflow && options.source) {
+    throw new ValidationError('Use either --workflow or --source, not both');
+  }
+  if (options.source && options.step) {
+    throw new ValidationError('--step only applies to workflows; source events have no steps');
+  }
+
+  let target;
+  if (options.source) {
+    target = { type: 'source', id: options.source };
+  } else {
+    const workflowDir = await findWorkflowDir({ id: options.workflow, cwd });
+    const metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+    const local = metadata && (!options.workflow || metadata.id === options.workflow) ? metadata : null;
+
+    if (!options.workflow && !local) {
+      throw new ConfigurationError('Workflow is required. Provide --workflow <id>, --source <id> or run this command from a workflow directory.');
+    }
+    target = { type: 'workflow', id: options.workflow || local.id, orgId: local ? local.org_id : undefined };
+  }
+
+  const filter = buildFilter(options);
+  if (options.last !== undefined && target.type === 'source') {
+    throw new ValidationError('--last only applies to workflows; source streams start with new events');
+  }
+  if (parsePositiveInt(options.last, '--last', 0) > PAGE_SIZE) {
+    throw new ValidationError(`--last can show at most ${PAGE_SIZE} events`);
+  }
+  const maxEvents = parsePositiveInt(options.maxEvents, '--max-events', Infinity);
+  const client = requireApiClient(options);
+  target.orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || target.orgId || undefined });
+
+  const controller = new AbortController();
+  if (options.signal) {
+    if (options.signal.aborted) {
+      controller.abort();
+    }
+    options.signal.addEventListener('abort', () => controller.abort());
+  }
+
+  const result = { [`${target.type}_id`]: target.id, events: 0, last_event_id: null, reconnects: 0 };
+  const onEvent = options.onEvent || (() => {});
+
+  const context = {
+    logger,
+    seen: createSeenSet(),
+    signal: controller.signal,
+    interval: parsePositiveInt(options.interval, '--interval', DEFAULT_INTERVAL) * 1000,
+    last: parsePositiveInt(options.last, '--last', 0),
+    matches: filter,
+    backoff: MIN_BACKOFF,
+    disconnected: false,
+    emit(event) {
+      if (controller.signal.aborted || !filter(event)) {
+        return;
+      }
+      result.events += 1;
+      result.last_event_id = event.id;
+      onEvent(event);
+      if (result.events >= maxEvents) {
+        controller.abort();
+      }
+    },
+    async retry(error) {
+      logger.error(`⚠️  Connection lost (${error.message}). Retrying in ${Math.round(context.backoff / 1000)}s...`);
+      context.disconnected = true;
+      result.reconnects += 1;
+      await sleep(context.backoff, controller.signal);
+      context.backoff = Math.min(context.backoff * 2, MAX_BACKOFF);
+    }
+  };
+
+  logger.log(`Waiting for events of ${target.type} ${target.id}${target.type === 'workflow' ? ` (every ${context.interval / 1000}s)` : ''}. Press Ctrl+C to stop.`);
+
+  if (target.type === 'source') {
+    await streamSource(client, target, context);
+  } else {
+    await pollWorkflow(client, target, context);
+  }
+
+  return result;
+}
+
+function formatEventLine(event) {
+  const details = event.status === 'error'
+    ? [event.failed_step, event.error].filter(Boolean).join(': ')
+    : (event.steps.length === 0 ? JSON.stringify(event.trigger_event) : '');
+
+  return [
+    event.timestamp || '-',
+    event.id,
+    event.status.padEnd(7),
+    formatDuration(event.duration_ms).padStart(8),
+    details.length > 120 ? `${details.slice(0, 117)}...` : details
+  ].join('  ').trimEnd();
+}
+
+// CLI action for tail. Events print as they arrive, one JSON object per line
+// with --json; Ctrl+C stops following.
+async function tailCommand(options) {
+  await runCommand(async () => {
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    return tail({
+      ...cliOptions(options),
+      signal: controller.signal,
+      onEvent: event => (isJsonMode() ? printJsonLine(event) : console.log(formatEventLine(event)))
+    });
+  });
+}
+
+module.exports = { tail, tailCommand };
@@ -0,0 +1,240 @@
+const { requireApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { getLogger, isJsonMode } = require('../lib/output');
+const { cliOptions, runCommand } = require('../lib/cli');
+const { ConfigurationError, PdManagerError, ValidationError } = require('../lib/errors');
+const {
+  findWorkflowDir,
+  hashWorkflow,
+  normalizeWorkflow,
+  readWorkflowJson,
+  writeWorkflowJson
+} = require('../lib/workflow-files');
+require('dotenv').config();
+
+// Lifecycle of a deployed workflow: turn it on and off, rename it and change
+// its execution settings. Settings go under `settings` in the update payload,
+// the on/off state is the top-level `active` flag.
+
+const BOOLEANS = {
+  true: true,
+  yes: true,
+  on: true,
+  1: true,
+  false: false,
+  no: false,
+  off: false,
+  0: false
+};
+
+function parseBoolean(value, option) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  const parsed = BOOLEANS[String(value).toLowerCase()];
+  if (parsed === undefined) {
+    throw new ValidationError(`${option} must be true or false`);
+  }
+  return parsed;
+}
+
+function parsePositiveInt(value, option) {
+  const number = typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`${option} must be a positive whole number`);
+  }
+  return number;
+}
+
+// The requested changes as { field: value }; field names match the keys of
+// normalizeWorkflow() and its `settings`
+function parseChanges(options) {
+  const changes = {};
+
+  if (options.name !== undefined) {
+    if (!String(options.name).trim()) {
+      throw new ValidationError('--name cannot be empty');
+    }
+    changes.name = String(options.name).trim();
+  }
+  if (options.description !== undefined) {
+    changes.description = String(options.description);
+  }
+  if (options.active !== undefined) {
+    changes.active = parseBoolean(options.active, '--active');
+  }
+  if (options.autoDeploy !== undefined) {
+    changes.auto_deploy = parseBoolean(options.autoDeploy, '--auto-deploy');
+  }
+  if (options.concurrency !== undefined) {
+    changes.concurrency = parsePositiveInt(options.concurrency, '--concurrency');
+  }
+  if (options.timeoutSeconds !== undefined) {
+    changes.timeout_seconds = parsePositiveInt(options.timeoutSeconds, '--timeout');
+  }
+  if (options.memory !== undefined) {
+    changes.memory_mb = parsePositiveInt(options.memory, '--memory');
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError('Nothing to change. Pass --active, --name, --description, --auto-deploy, --concurrency, --timeout or --memory.');
+  }
+
+  return changes;
+}
+
+function currentValue(workflow, field) {
+  if (['name', 'description', 'active'].includes(field)) {
+    return workflow[field];
+  }
+  return workflow.settings[field];
+}
+
+// Change the state, name or execution settings of a deployed workflow. The
+// timeout is options.timeoutSeconds, as options.timeout is the API request
+// timeout. Fields that already have the requested value are left out of the
+// update. When the workflow has a local workflows/<id>/ folder, its
+// workflow.json gets the new remote values.
+async function setWorkflow(options = {}) {
+  const logger = getLogger(options);
+  const cwd = options.cwd || process.cwd();
+  const changes = parseChanges(options);
+  const client = requireApiClient(options);
+
+  // Ignore a workflow directory we happen to be in when it's another workflow
+  let workflowDir = await findWorkflowDir({ id: options.workflow, cwd });
+  let metadata = workflowDir ? await readWorkflowJson(workflowDir) : null;
+  if (metadata && options.workflow && metadata.id !== options.workflow) {
+    workflowDir = null;
+    metadata = null;
+  }
+  const workflowId = options.workflow || (metadata && metadata.id);
+
+  if (!workflowId) {
+    throw new ConfigurationError('Workflow ID is required. Provide it as an argument or run this command from a workflow directory.');
+  }
+
+  const orgId = await resolveOrgId(client, { ...options, cwd, org: options.org || (metadata && metadata.org_id) });
+  logger.log(`Using workspace (org_id): ${orgId}`);
+
+  logger.log(`Fetching workflow ${workflowId}...`);
+  const remoteResponse = await client.getWorkflow(workflowId, orgId);
+  if (!remoteResponse || !remoteResponse.data) {
+    throw new PdManagerError('Failed to fetch workflow details');
+  }
+
+  const remote = normalizeWorkflow({ id: workflowId, ...remoteResponse.data });
+  const changed = Object.keys(changes)
+    .filter(field => currentValue(remote, field) !== changes[field])
+    .map(field => ({ field, from: currentValue(remote, field), to: changes[field] }));
+
+  const result = {
+    workflow_id: workflowId,
+    workflow_name: changes.name || remote.name,
+    changes: changed,
+    updated: false,
+    local_updated: false
+  };
+
+  if (changed.length === 0) {
+    logger.log('Nothing to change: the workflow already has these settings.');
+    return result;
+  }
+
+  const payload = { org_id: orgId };
+  changed.forEach(({ field, to }) => {
+    if (field === 'active') {
+      payload.active = to;
+    } else {
+      payload.settings = { ...payload.settings, [field]: to };
+    }
+  });
+
+  logger.log(`Updating ${changed.map(change => change.field).join(', ')}...`);
+  await client.updateWorkflow(workflowId, payload);
+
+  const updatedResponse = await client.getWorkflow(workflowId, orgId);
+  const updatedData = (updatedResponse && updatedResponse.data) || {};
+  const updated = normalizeWorkflow({ id: workflowId, ...updatedData });
+
+  // Record what the remote reports now; fields it doesn't return keep the
+  // values we sent. Local step edits are left alone, and the sync record only
+  // moves forward when the local copy was in sync before.
+  if (metadata) {
+    const sync = metadata.sync || {};
+    const wasInSync = sync.remote_hash === hashWorkflow(remoteResponse.data);
+
+    changed.forEach(({ field, to }) => {
+      const value = currentValue(updated, field);
+      if (['name', 'description', 'active'].includes(field)) {
+        metadata[field] = value === undefined || value === '' ? to : value;
+      } else {
+        metadata.settings = { ...metadata.settings, [field]: value === undefined ? to : value };
+      }
+    });
+
+    if (wasInSync) {
+      metadata.sync = {
+        ...sync,
+        pushed_at: new Date().toISOString(),
+        remote_updated_at: updatedData.updated_at || null,
+        remote_hash: hashWorkflow(updatedData)
+      };
+    }
+
+    await writeWorkflowJson(workflowDir, metadata);
+    result.local_updated = true;
+  }
+
+  return { ...result, updated: true };
+}
+
+function formatValue(value) {
+  return value === undefined || value === null ? 'unset' : JSON.stringify(value);
+}
+
+function printSetResult(result) {
+  if (!result.updated) {
+    console.log(`\nWorkflow "${result.workflow_name}" (${result.workflow_id}) already has these settings.\n`);
+    return;
+  }
+
+  console.log('\n' + '-'.repeat(50));
+  console.log(`✅ Workflow "${result.workflow_name}" (${result.workflow_id}) updated`);
+  result.changes.forEach(change => {
+    console.log(`   ~ ${change.field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+  });
+  if (result.local_updated) {
+    console.log('   - Local workflow.json updated');
+  }
+  console.log('-'.repeat(50));
+}
+
+// CLI action for workflow set
+async function setWorkflowCommand(workflow, options) {
+  await runCommand(async () => {
+    const { timeout, ...rest } = options;
+    const result = await setWorkflow(cliOptions({ ...rest, workflow, timeoutSeconds: timeout }));
+    if (!isJsonMode()) {
+      printSetResult(result);
+    }
+    return result;
+  });
+}
+
+// CLI actions for workflow activate / workflow pause
+async function activateWorkflowCommand(workflow, options) {
+  await setWorkflowCommand(workflow, { ...options, active: true });
+}
+
+async function pauseWorkflowCommand(workflow, options) {
+  await setWorkflowCommand(workflow, { ...options, active: false });
+}
+
+module.exports = {
+  setWorkflow,
+  setWorkflowCommand,
+  activateWorkflowCommand,
+  pauseWorkflowCommand
+};
@@ -10,14 +10,60 @@ const { loginTargeted } = require('./commands/login-targeted');
 const { analyzeLoginPage } = require('./commands/analyze-login-page');
 const { analyzeProjectsPage } = require('./commands/analyze-projects-page');
 const { createProjectAfterLogin } = require('./commands/create-project-after-login');
-const { createWorkflow } = require('./commands/create-workflow');
-const { listTriggers } = require('./commands/list-triggers');
-const { listSteps } = require('./commands/list-steps');
+const { createWorkflowCommand } = require('./commands/create-workflow');
+const { cloneWorkflowCommand } = require('./commands/clone-workflow');
+const { listTriggersCommand } = require('./commands/list-triggers');
+const { listStepsCommand } = require('./commands/list-steps');
+const { listProjectsCommand } = require('./commands/list-projects');
+const { listWorkflowsCommand } = require('./commands/list-workflows');
+const { pullCommand } = require('./commands/pull');
+const { pushCommand } = require('./commands/push');
+const { diffCommand } = require('./commands/diff');
+const { deleteWorkflowCommand } = require('./commands/delete-workflow');
+const { deleteProjectCommand } = require('./commands/delete-project');
+const { exportCommand } = require('./commands/export');
+const { importCommand } = require('./commands/import');
+const { addStepCommand } = require('./commands/add-step');
+const { planCommand } = require('./commands/plan');
+const { applyCommand } = require('./commands/apply');
+const { refreshMetadataCommand } = require('./commands/refresh-metadata');
+const { invokeCommand, collectHeader } = require('./commands/invoke');
+const { logsCommand } = require('./commands/logs');
+const { tailCommand } = require('./commands/tail');
+const {
+  listSourcesCommand,
+  getSourceCommand,
+  createSourceCommand,
+  updateSourcePropsCommand,
+  deleteSourceCommand,
+  subscriptionsCommand
+} = require('./commands/sources');
+const {
+  envListCommand,
+  envSetCommand,
+  envUnsetCommand,
+  envImportCommand,
+  envDiffCommand
+} = require('./commands/env');
+const { listAccountsCommand, bindStepAccountCommand } = require('./commands/accounts');
+const {
+  setWorkflowCommand,
+  activateWorkflowCommand,
+  pauseWorkflowCommand
+} = require('./commands/workflow');
 const { quickTest } = require('./commands/quick-test');
+const { enableJsonMode } = require('./lib/output');
 
 program
   .version('1.0.0')
-  .description('CLI tool for managing Pipedream workflows');
+  .description('CLI tool for managing Pipedream workflows')
+  .option('--json', 'Write diagnostics to stderr and a single JSON result object to stdout');
+
+program.hook('preAction', () => {
+  if (program.opts().json) {
+    enableJsonMode();
+  }
+});
 
 program
   .command('open')
@@ -92,10 +138,17 @@ program
   .option('-t, --template <id>', 'Template ID to use (optional)')
   .option('-d, --description <desc>', 'Workflow description (optional)')
   .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
-  .option('--trigger <type>', 'Trigger type (http, schedule, etc.)')
-  .option('--trigger-path <path>', 'Custom path for HTTP trigger (optional)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .option('--trigger <type>', 'Trigger type: http, schedule, email, rss or an app source like github:new-issue')
+  .option('--trigger-path <path>', 'Path appended to the HTTP trigger URL in webhook_url (optional)')
   .option('--schedule <cron>', 'Cron expression for schedule trigger (optional)')
-  .action(createWorkflow);
+  .option('--timezone <tz>', 'Timezone of the schedule, e.g. Europe/Berlin (default: UTC)')
+  .option('--preview <n>', 'Number of upcoming schedule runs to show (default: 5)')
+  .option('--feed-url <url>', 'Feed URL for RSS trigger')
+  .option('--trigger-props <file>', 'JSON file with the configured props of the trigger')
+  .option('--from <file>', 'Create every workflow defined in a JSON or CSV spec file')
+  .option('--concurrency <n>', 'Workflows created at the same time with --from (default: 4)')
+  .action(createWorkflowCommand);
   
 program
   .command('list-triggers')
@@ -103,7 +156,9 @@ program
   .option('-w, --workflow <id>', 'Workflow ID')
   .option('-p, --project <id>', 'Project ID (to list all workflows)')
   .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
-  .action(listTriggers);
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .option('--preview <n>', 'Number of upcoming runs to show for schedule triggers (default: 5)')
+  .action(listTriggersCommand);
 
 program
   .command('list-steps')
@@ -111,7 +166,356 @@ program
   .option('-w, --workflow <id>', 'Workflow ID')
   .option('-p, --project <id>', 'Project ID (to list all workflows)')
   .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
   .option('-d, --detailed', 'Show detailed component information')
-  .action(listSteps);
+  .action(listStepsCommand);
+
+program
+  .command('clone-workflow [id]')
+  .description('Copy a workflow with its trigger, steps and settings into the same or another project')
+  .option('--to-project <id>', 'Project to create the copy in (default: the project of the workflow)')
+  .option('-n, --name <name>', 'Name of the copy (default: "<name> (copy)")')
+  .option('--to-dir <path>', 'Project directory to write workflows/<new-id>/ to (default: the one of the workflow; required with --to-project <other>)')
+  .option('--fixtures', 'Copy tests/fixtures of the local workflow too')
+  .option('--active', 'Turn the copy on right away (default: paused)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(cloneWorkflowCommand);
+
+program
+  .command('add-step')
+  .description('Add a step to a workflow from a registry component or a local component file')
+  .option('-w, --workflow <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('-c, --component <key>', 'Registry component key (e.g. slack-send-message)')
+  .option('-l, --local <name>', 'Upload workflows/<id>/components/<name>.js and use it as the step')
+  .option('-n, --name <step>', 'Step name (defaults to the --local component name)')
+  .option('--props <file>', 'JSON file with the configured props of the step')
+  .option('--position <n>', 'Position to insert the step at, starting at 1 (default: last)')
+  .option('--after <step>', 'Insert the step after this step')
+  .option('--account <id>', "Connected account (apn_...) for the step's app prop")
+  .option('--no-account-check', 'Add the step even if it lacks a connected account')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(addStepCommand);
+
+program
+  .command('invoke')
+  .description("Send a test event to a workflow's HTTP trigger")
+  .option('-w, --workflow <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('-f, --fixture <file>', 'JSON fixture to send (default: tests/fixtures/input.json of the workflow)')
+  .option('-X, --method <method>', 'HTTP method (default: the fixture method or POST)')
+  .option('-H, --header <header>', 'Extra request header as "Name: value" (repeatable)', collectHeader)
+  .option('-d, --data <body>', 'Request body, replacing the fixture')
+  .option('--base-url <url>', 'Send the request to this server instead, e.g. a local emulator')
+  .option('--timeout <ms>', 'Request timeout in milliseconds (default: 30000)')
+  .action(invokeCommand);
+
+program
+  .command('logs')
+  .description("Page through a workflow's event history, or dump one event to files")
+  .option('-w, --workflow <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('-n, --limit <n>', 'Number of events per page, up to 100 (default: 20)')
+  .option('--before <cursor>', 'Show events older than this cursor (printed under each page)')
+  .option('--errors', 'Only show events that failed')
+  .option('-e, --event <id>', "Write this event's trigger payload and step exports to files")
+  .option('--output <dir>', 'Directory for --event (default: tests/fixtures/events/<event id> of the workflow)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(logsCommand);
+
+const sources = program
+  .command('sources')
+  .description('Manage sources, the deployed components behind workflow triggers');
+
+sources
+  .command('list')
+  .description('List the sources of the workspace')
+  .option('-n, --name <text>', 'Only show sources whose name contains this text')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(listSourcesCommand);
+
+sources
+  .command('get <id>')
+  .description('Show a source and its configured props')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(getSourceCommand);
+
+sources
+  .command('create <file>')
+  .description('Deploy a local component file as a source')
+  .option('-n, --name <name>', 'Source name (default: the file name)')
+  .option('--props <file>', 'JSON file with the configured props of the source')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(createSourceCommand);
+
+sources
+  .command('update-props <id>')
+  .description('Change configured props of a source; props not in the file keep their value')
+  .requiredOption('--props <file>', 'JSON file with the props to change')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(updateSourcePropsCommand);
+
+sources
+  .command('delete <id>')
+  .description('Delete a source')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(deleteSourceCommand);
+
+sources
+  .command('subscriptions [id]')
+  .description('List the listeners of a source (or all subscriptions), or add and remove one')
+  .option('--add <listener>', 'Send the events of the source to this workflow or source')
+  .option('--remove <listener>', 'Stop sending the events of the source to this listener')
+  .option('--event <name>', 'Only this event name of the source (default: all its events)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(subscriptionsCommand);
+
+const env = program
+  .command('env')
+  .description('Manage the environment variables of the workspace or a project');
+
+env
+  .command('list')
+  .description('List environment variables, with masked values')
+  .option('-p, --project [id]', 'Project variables instead of workspace ones (without an ID: the project in config.ini)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(envListCommand);
+
+env
+  .command('set <assignments...>')
+  .description('Set variables given as NAME=value, or one NAME with its value piped on stdin')
+  .option('--secret', 'Store the values as secrets')
+  .option('-p, --project [id]', 'Project variables instead of workspace ones (without an ID: the project in config.ini)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(envSetCommand);
+
+env
+  .command('unset <names...>')
+  .description('Remove variables')
+  .option('-p, --project [id]', 'Project variables instead of workspace ones (without an ID: the project in config.ini)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(envUnsetCommand);
+
+env
+  .command('import <file>')
+  .description('Set the variables of a .env file')
+  .option('--secret', 'Store the values as secrets')
+  .option('--overwrite', 'Also replace existing secrets, whose current value cannot be compared')
+  .option('--dry-run', 'Show what would change without writing anything')
+  .option('-p, --project [id]', 'Project variables instead of workspace ones (without an ID: the project in config.ini)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(envImportCommand);
+
+env
+  .command('diff <file>')
+  .description('Compare a local .env file with the variables of the workspace or project')
+  .option('-p, --project [id]', 'Project variables instead of workspace ones (without an ID: the project in config.ini)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(envDiffCommand);
+
+const accounts = program
+  .command('accounts')
+  .description('List connected accounts and bind them to app steps');
+
+accounts
+  .command('list')
+  .description('List the connected accounts of the workspace')
+  .option('-a, --app <slug>', 'Only show accounts of this app (e.g. slack)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(listAccountsCommand);
+
+accounts
+  .command('bind <account>')
+  .description("Bind a connected account (apn_...) to a step's app prop in the local workflow.json")
+  .requiredOption('-s, --step <name>', 'Step to bind the account to')
+  .option('-w, --workflow <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('--prop <name>', 'App prop of the step (default: the app of the step)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(bindStepAccountCommand);
+
+program
+  .command('tail')
+  .description('Follow the new events of a workflow or source as they happen')
+  .option('-w, --workflow <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('--source <id>', 'Follow the events emitted by this source (dc_...) instead')
+  .option('-s, --status <status>', 'Only show success or error events')
+  .option('--step <name>', 'Only show events that ran (or failed at) this step')
+  .option('-m, --match <jsonpath>', 'Only show events whose trigger event has a match for this JSONPath expression')
+  .option('-n, --last <n>', 'First show the latest n matching events of the workflow')
+  .option('--max-events <n>', 'Stop after n matching events')
+  .option('--interval <seconds>', 'Seconds between checks for new workflow events (default: 5)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(tailCommand);
+
+program
+  .command('list-projects')
+  .description('List all projects in the workspace')
+  .option('-n, --name <text>', 'Only show projects whose name contains this text')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(listProjectsCommand);
+
+program
+  .command('list-workflows')
+  .description('List all workflows in a project')
+  .option('-p, --project <id>', 'Project ID (optional if in project directory)')
+  .option('-n, --name <text>', 'Only show workflows whose name contains this text')
+  .option('-s, --state <state>', 'Only show active or inactive workflows')
+  .option('-t, --trigger <type>', 'Only show workflows with this trigger type (http, schedule, ...)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(listWorkflowsCommand);
+
+program
+  .command('pull')
+  .description('Pull remote workflows into the local workflows/ directory')
+  .option('-p, --project <id>', 'Project ID (optional if in project directory)')
+  .option('-w, --workflow <id>', 'Only pull this workflow')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(pullCommand);
+
+program
+  .command('refresh-metadata')
+  .description('Repair the webhook URLs in local workflow.json files from the deployed workflows')
+  .option('-w, --workflow <id>', 'Only refresh this workflow')
+  .option('--dry-run', 'Show what would change without writing any files')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(refreshMetadataCommand);
+
+const workflow = program
+  .command('workflow')
+  .description('Turn deployed workflows on and off, rename them and change their settings');
+
+workflow
+  .command('set [id]')
+  .description('Change the state, name or execution settings of a workflow (ID optional in a workflow directory)')
+  .option('--active <bool>', 'Turn the workflow on (true) or off (false)')
+  .option('-n, --name <name>', 'New workflow name')
+  .option('-d, --description <desc>', 'New description')
+  .option('--auto-deploy <bool>', 'Deploy changes made in the Pipedream builder automatically')
+  .option('--concurrency <n>', 'Maximum number of concurrent executions')
+  .option('--timeout <seconds>', 'Execution timeout in seconds')
+  .option('--memory <mb>', 'Memory per execution in megabytes')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(setWorkflowCommand);
+
+workflow
+  .command('activate [id]')
+  .description('Turn a workflow on (same as set --active true)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(activateWorkflowCommand);
+
+workflow
+  .command('pause [id]')
+  .description('Turn a workflow off (same as set --active false)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(pauseWorkflowCommand);
+
+program
+  .command('push')
+  .alias('update-workflow')
+  .description('Push local workflow changes back to Pipedream')
+  .option('--id <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('--workflow-json <path>', 'Path to the workflow.json to push (optional)')
+  .option('--code-js <path>', 'Code file to use for the first code step (optional)')
+  .option('-f, --force', 'Push even if the deployed workflow changed since the last pull')
+  .option('--dry-run', 'Show what would be updated without pushing')
+  .option('--no-account-check', 'Push even if app steps lack a connected account')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(pushCommand);
+
+program
+  .command('diff')
+  .description('Show differences between local workflow files and the deployed workflow')
+  .option('--id <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(diffCommand);
+
+program
+  .command('delete-workflow')
+  .description('Delete a workflow from Pipedream and clean up its local files')
+  .option('--id <id>', 'Workflow ID (optional if in workflow directory)')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .option('--archive', 'Move the local workflows/<id> folder to archive/ instead of deleting it')
+  .option('--keep-local', 'Leave the local workflows/<id> folder untouched')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(deleteWorkflowCommand);
+
+program
+  .command('delete-project')
+  .description('Delete a project and all of its workflows from Pipedream')
+  .option('-p, --project <id>', 'Project ID (optional if in project directory)')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .option('--archive', 'Move the local workflow folders to archive/ instead of deleting them')
+  .option('--keep-local', 'Leave the local workflow folders untouched')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(deleteProjectCommand);
+
+program
+  .command('export')
+  .description('Back up the workflows of a project to a .tar.gz archive or directory')
+  .option('-p, --project <id>', 'Project ID (optional if in project directory)')
+  .option('-w, --workflow <id>', 'Only export this workflow')
+  .option('--output <dir>', 'Directory to write the export to (default: current directory)')
+  .option('--format <format>', 'Export format: tar (.tar.gz) or dir', 'tar')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(exportCommand);
+
+program
+  .command('import <source>')
+  .description('Recreate the workflows of an export in another project or workspace')
+  .option('-p, --project <id>', 'Target project ID (optional if in project directory)')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Target workspace (org) ID or name (optional if set in config.ini)')
+  .action(importCommand);
+
+program
+  .command('plan')
+  .description('Show the changes needed to make the project match pipedream.yaml')
+  .option('-f, --file <path>', 'Manifest file (default: pipedream.yaml in the project directory)')
+  .option('-p, --project <id>', 'Project ID (optional if set in the manifest or config.ini)')
+  .option('--prune', 'Delete deployed workflows that are not in the manifest')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(planCommand);
+
+program
+  .command('apply')
+  .description('Create, update and delete workflows so the project matches pipedream.yaml')
+  .option('-f, --file <path>', 'Manifest file (default: pipedream.yaml in the project directory)')
+  .option('-p, --project <id>', 'Project ID (optional if set in the manifest or config.ini)')
+  .option('--prune', 'Delete deployed workflows that are not in the manifest')
+  .option('-y, --yes', 'Delete workflows (with --prune) without asking for confirmation')
+  .option('--archive', 'Move the local folders of deleted workflows to archive/ instead of deleting them')
+  .option('--keep-local', 'Leave the local folders of deleted workflows untouched')
+  .option('--no-account-check', 'Apply even if app steps lack a connected account')
+  .option('-k, --apiKey <key>', 'Pipedream API key (optional if in .env)')
+  .option('-o, --org <id>', 'Workspace (org) ID or name (optional if set in config.ini)')
+  .action(applyCommand);
 
 program.parse(process.argv);
\ No newline at end of file
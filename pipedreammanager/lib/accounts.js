@@ -0,0 +1,229 @@
+const { ValidationError } = require('./errors');
+
+// Connected accounts (apn_...) and the app props of steps that use them.
+// A step is bound to an account through one of its props:
+//
+//   props: { slack: { authProvisionId: 'apn_abc123' } }
+//
+// Registry actions are keyed <app>-<action> (slack-send-message), so the app
+// of a step is its `app` or the prefix of its component key. Custom and local
+// components can have any key, so when checking accounts a prefix only counts
+// as an app if the registry has an app by that name.
+
+const ACCOUNT_KEY = 'authProvisionId';
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+
+// Apps of built-in components, which need no connected account
+const NO_ACCOUNT_APPS = [
+  'bash',
+  'code',
+  'data_stores',
+  'delay',
+  'email',
+  'filter',
+  'formatting',
+  'go',
+  'helper_functions',
+  'http',
+  'node',
+  'pipedream',
+  'pipedream_utils',
+  'python',
+  'rss',
+  'schedule'
+];
+
+function stepApp(step) {
+  if (step.app) {
+    return step.app;
+  }
+  if (step.type !== 'code' && step.component_key && step.component_key.includes('-')) {
+    return step.component_key.split('-')[0];
+  }
+  return null;
+}
+
+// App named by the component key prefix, a guess to be confirmed against the
+// registry. Local components (component_file) are never registry actions.
+function keyPrefixApp(step) {
+  if (step.app || step.type === 'code' || step.component_file || !step.component_key || !step.component_key.includes('-')) {
+    return null;
+  }
+  return step.component_key.split('-')[0];
+}
+
+// The app of a step for account checks: its `app`, or its key prefix when
+// that is one of registryApps
+function checkedApp(step, registryApps = new Set()) {
+  if (step.app) {
+    return step.app;
+  }
+  const prefix = keyPrefixApp(step);
+  return prefix && registryApps.has(prefix) ? prefix : null;
+}
+
+function needsAccount(step, registryApps) {
+  const app = checkedApp(step, registryApps);
+  return Boolean(app) && !NO_ACCOUNT_APPS.includes(app);
+}
+
+// Account bindings of a step as [{ prop, account_id }]
+function stepAccounts(step) {
+  return Object.entries(step.props || {})
+    .filter(([, value]) => value && typeof value === 'object' && typeof value[ACCOUNT_KEY] === 'string')
+    .map(([prop, value]) => ({ prop, account_id: value[ACCOUNT_KEY] }));
+}
+
+// Copy of the step with the account bound to an app prop: `prop`, or the
+// prop named after the app of the step
+function bindAccount(step, accountId, prop = stepApp(step)) {
+  if (!/^apn_\w+$/.test(accountId || '')) {
+    throw new ValidationError(`Invalid account ID "${accountId}": connected account IDs look like apn_...`);
+  }
+  if (!prop) {
+    throw new ValidationError(`Cannot tell which prop of step "${step.name}" takes the account. Name the app prop with --prop.`);
+  }
+
+  return { ...step, props: { ...(step.props || {}), [prop]: { [ACCOUNT_KEY]: accountId } } };
+}
+
+function summarizeAccount(account) {
+  const app = account.app || {};
+
+  return {
+    id: account.id,
+    name: account.name || account.external_id || '',
+    app: app.name_slug || app.id || account.app_slug || null,
+    app_name: app.name || null,
+    healthy: account.dead ? false : account.healthy !== false,
+    created_at: account.created_at || null
+  };
+}
+
+// Connected accounts of the workspace, optionally only those of one app
+async function fetchAccounts(client, orgId, { app } = {}) {
+  const accounts = [];
+  let after;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await client.listAccounts(orgId, { app, limit: PAGE_SIZE, after });
+    const data = (response && response.data) || [];
+    const cursor = response && response.page_info && response.page_info.end_cursor;
+
+    accounts.push(...data);
+    if (data.length < PAGE_SIZE || !cursor) {
+      break;
+    }
+    after = cursor;
+  }
+
+  return accounts.map(summarizeAccount);
+}
+
+// Key prefixes of the steps (see keyPrefixApp) that are apps of the registry
+async function fetchRegistryApps(client, steps) {
+  const prefixes = [...new Set(steps.map(keyPrefixApp).filter(Boolean))];
+  const apps = new Set();
+
+  for (const prefix of prefixes) {
+    const response = await client.listApps({ q: prefix });
+    if (((response && response.data) || []).some(app => app.name_slug === prefix)) {
+      apps.add(prefix);
+    }
+  }
+
+  return apps;
+}
+
+// Check the account bindings of steps against the accounts of the workspace.
+// `registryApps` are the key prefixes known to be apps (fetchRegistryApps);
+// other prefixes are taken for custom components that need no account.
+// Returns [{ step, app, prop, account_id, problem, level, message }] where
+// problem is missing, not_found, app_mismatch (errors) or unhealthy (warning).
+//
+// A binding is expected to hold an account of the step's app when the prop is
+// named after that app or is the step's only binding; other props (code steps
+// with several apps) are expected to be named after their app.
+function checkAccounts(steps, accounts, registryApps) {
+  const byId = new Map(accounts.map(account => [account.id, account]));
+  const problems = [];
+
+  steps.forEach(step => {
+    const app = checkedApp(step, registryApps);
+    const bindings = stepAccounts(step);
+    const report = (problem, level, message, binding = {}) => problems.push({
+      step: step.name,
+      app,
+      prop: binding.prop || null,
+      account_id: binding.account_id || null,
+      problem,
+      level,
+      message
+    });
+
+    if (bindings.length === 0) {
+      if (needsAccount(step, registryApps)) {
+        report('missing', 'error', `step "${step.name}" uses ${app} but has no connected account`);
+      }
+      return;
+    }
+
+    bindings.forEach(binding => {
+      const account = byId.get(binding.account_id);
+      const expected = (app && (binding.prop === app || bindings.length === 1)) ? app : binding.prop;
+
+      if (!account) {
+        report('not_found', 'error', `step "${step.name}": account ${binding.account_id} (prop ${binding.prop}) is not connected in this workspace`, binding);
+      } else if (account.app && expected !== account.app) {
+        report('app_mismatch', 'error', `step "${step.name}": account ${binding.account_id} is a ${account.app} account, but prop ${binding.prop} needs a ${expected} account`, binding);
+      } else if (!account.healthy) {
+        report('unhealthy', 'warning', `step "${step.name}": account ${binding.account_id} (${account.name || account.app}) needs to be reconnected`, binding);
+      }
+    });
+  });
+
+  return problems;
+}
+
+// Check workflows ([{ name, steps }]) before a deploy: logs warnings and
+// throws a ValidationError listing every missing or mismatched account. Only
+// fetches the accounts when a step uses one. Returns the problems found, with
+// the workflow name.
+async function verifyAccounts(client, orgId, workflows, logger = console) {
+  const steps = workflows.flatMap(workflow => workflow.steps);
+  const registryApps = await fetchRegistryApps(client, steps);
+  if (!steps.some(step => needsAccount(step, registryApps) || stepAccounts(step).length > 0)) {
+    return [];
+  }
+
+  logger.log('Checking connected accounts...');
+  const accounts = await fetchAccounts(client, orgId);
+  const problems = workflows.flatMap(workflow => checkAccounts(workflow.steps, accounts, registryApps)
+    .map(problem => ({ workflow: workflow.name, ...problem, message: `${workflow.name}: ${problem.message}` })));
+  const errors = problems.filter(problem => problem.level === 'error');
+
+  problems
+    .filter(problem => problem.level === 'warning')
+    .forEach(problem => logger.log(`⚠️  ${problem.message}`));
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Connected accounts need fixing before deploy:\n${errors.map(problem => `  - ${problem.message}`).join('\n')}\nList accounts with "pdmanager accounts list" and bind one with "pdmanager accounts bind".`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  ACCOUNT_KEY,
+  stepApp,
+  needsAccount,
+  stepAccounts,
+  bindAccount,
+  summarizeAccount,
+  fetchAccounts,
+  fetchRegistryApps,
+  checkAccounts,
+  verifyAccounts
+};
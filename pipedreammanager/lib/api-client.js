@@ -0,0 +1,373 @@
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const { PdManagerError, ConfigurationError } = require('./errors');
+const { maskValue } = require('./env');
+
+const DEFAULT_BASE_URL = 'https://api.pipedream.com/v1';
+const DEFAULT_TIMEOUT = 30000;
+
+// Error thrown for any failed API request. Carries the HTTP status code and
+// raw response body so commands can report or branch on them.
+class ApiError extends PdManagerError {
+  constructor(message, { statusCode = null, body = null, method = null, endpoint = null } = {}) {
+    super(message, 'API_ERROR');
+    this.statusCode = statusCode;
+    this.body = body;
+    this.method = method;
+    this.endpoint = endpoint;
+  }
+}
+
+// Build a query string from an object, skipping empty values
+function buildQuery(params = {}) {
+  const query = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
+// Request body for the verbose log. Environment variable values are masked
+// like `env list` shows them, so secrets never reach the console.
+function describeBody(endpoint, data) {
+  if (endpoint.includes('/env_vars') && data && data.value !== undefined) {
+    return JSON.stringify({ ...data, value: maskValue(data.value) });
+  }
+  return JSON.stringify(data);
+}
+
+class ApiClient {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.verbose = options.verbose || false;
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(message);
+    }
+  }
+
+  // Send a request to the API and resolve with the parsed JSON response
+  async request(method, endpoint, data = null) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const options = {
+      method: method,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    this.log(`API Call: ${method} ${url.toString()}`);
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, options, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            // Some endpoints (e.g. DELETE) answer with an empty body
+            if (!responseData) {
+              this.log(`API Response (${res.statusCode}): Success`);
+              resolve({});
+              return;
+            }
+
+            try {
+              const parsedData = JSON.parse(responseData);
+              this.log(`API Response (${res.statusCode}): Success`);
+              resolve(parsedData);
+            } catch (error) {
+              this.log(`API Response (${res.statusCode}): Error parsing JSON`);
+              reject(new ApiError(`Failed to parse response: ${error.message}`, {
+                statusCode: res.statusCode,
+                body: responseData,
+                method,
+                endpoint
+              }));
+            }
+          } else {
+            this.log(`API Response (${res.statusCode}): ${responseData}`);
+            reject(new ApiError(`Request failed with status code ${res.statusCode}: ${responseData}`, {
+              statusCode: res.statusCode,
+              body: responseData,
+              method,
+              endpoint
+            }));
+          }
+        });
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new ApiError(`Request timed out after ${this.timeout}ms`, { method, endpoint }));
+      });
+
+      req.on('error', (error) => {
+        this.log(`API Network Error: ${error.message}`);
+
+        if (error instanceof ApiError) {
+          reject(error);
+        } else {
+          reject(new ApiError(error.message, { method, endpoint }));
+        }
+      });
+
+      if (data) {
+        req.write(JSON.stringify(data));
+        this.log(`Request Body: ${describeBody(endpoint, data)}`);
+      }
+
+      req.end();
+    });
+  }
+
+  // Open a server-sent events stream. Resolves with the response once the
+  // server accepts it; the caller reads the events and destroys the response.
+  // `idleTimeout` drops connections that stay silent for that long.
+  stream(endpoint, { headers = {}, idleTimeout = 0 } = {}) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const method = 'GET';
+
+    const options = {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Accept': 'text/event-stream',
+        ...headers
+      }
+    };
+
+    this.log(`API Stream: ${url.toString()}`);
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, options, (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          this.log(`API Stream (${res.statusCode}): Connected`);
+          resolve(res);
+          return;
+        }
+
+        let responseData = '';
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+        res.on('end', () => {
+          this.log(`API Stream (${res.statusCode}): ${responseData}`);
+          reject(new ApiError(`Request failed with status code ${res.statusCode}: ${responseData}`, {
+            statusCode: res.statusCode,
+            body: responseData,
+            method,
+            endpoint
+          }));
+        });
+      });
+
+      if (idleTimeout > 0) {
+        req.setTimeout(idleTimeout, () => {
+          req.destroy(new ApiError(`Stream was idle for ${idleTimeout}ms`, { method, endpoint }));
+        });
+      }
+
+      req.on('error', (error) => {
+        this.log(`API Network Error: ${error.message}`);
+        reject(error instanceof ApiError ? error : new ApiError(error.message, { method, endpoint }));
+      });
+
+      req.end();
+    });
+  }
+
+  // Users
+
+  getMe() {
+    return this.request('GET', '/users/me');
+  }
+
+  // Projects
+
+  listProjects(orgId) {
+    return this.request('GET', `/orgs/${orgId}/projects`);
+  }
+
+  getProject(projectId, orgId) {
+    return this.request('GET', `/projects/${projectId}${buildQuery({ org_id: orgId })}`);
+  }
+
+  listProjectWorkflows(projectId, orgId) {
+    return this.request('GET', `/projects/${projectId}/workflows${buildQuery({ org_id: orgId })}`);
+  }
+
+  listOrgProjectWorkflows(orgId, projectId) {
+    return this.request('GET', `/orgs/${orgId}/projects/${projectId}/workflows`);
+  }
+
+  deleteProject(projectId, orgId) {
+    return this.request('DELETE', `/projects/${projectId}${buildQuery({ org_id: orgId })}`);
+  }
+
+  // Environment variables of a workspace, or of one of its projects when
+  // projectId is given
+
+  envVarsEndpoint(orgId, projectId, name) {
+    const base = projectId ? `/projects/${projectId}/env_vars` : `/orgs/${orgId}/env_vars`;
+    return `${base}${name ? `/${encodeURIComponent(name)}` : ''}${buildQuery(projectId ? { org_id: orgId } : {})}`;
+  }
+
+  listEnvVars(orgId, projectId) {
+    return this.request('GET', this.envVarsEndpoint(orgId, projectId));
+  }
+
+  // Create or replace a variable; secret values are never returned by the API
+  setEnvVar(orgId, projectId, name, { value, secret = false }) {
+    return this.request('PUT', this.envVarsEndpoint(orgId, projectId, name), { value, secret });
+  }
+
+  deleteEnvVar(orgId, projectId, name) {
+    return this.request('DELETE', this.envVarsEndpoint(orgId, projectId, name));
+  }
+
+  // Workflows
+
+  listWorkflows(orgId) {
+    return this.request('GET', `/workflows${buildQuery({ org_id: orgId })}`);
+  }
+
+  getWorkflow(workflowId, orgId) {
+    return this.request('GET', `/workflows/${workflowId}${buildQuery({ org_id: orgId })}`);
+  }
+
+  createWorkflow(workflowData) {
+    return this.request('POST', '/workflows', workflowData);
+  }
+
+  updateWorkflow(workflowId, workflowData) {
+    return this.request('PUT', `/workflows/${workflowId}`, workflowData);
+  }
+
+  deleteWorkflow(workflowId, orgId) {
+    return this.request('DELETE', `/workflows/${workflowId}${buildQuery({ org_id: orgId })}`);
+  }
+
+  // Event history, newest first. `params` takes limit and the before/after
+  // cursors of the previous page.
+  listWorkflowEvents(workflowId, orgId, params = {}) {
+    return this.request('GET', `/workflows/${workflowId}/event_summaries${buildQuery({ org_id: orgId, expand: 'event', ...params })}`);
+  }
+
+  listWorkflowErrors(workflowId, orgId, params = {}) {
+    return this.request('GET', `/workflows/${workflowId}/$errors/event_summaries${buildQuery({ org_id: orgId, expand: 'event', ...params })}`);
+  }
+
+  // Components
+
+  createComponent(componentCode, orgId) {
+    return this.request('POST', '/components', { component_code: componentCode, org_id: orgId });
+  }
+
+  // Sources (deployed triggers)
+
+  listSources(orgId, params = {}) {
+    return this.request('GET', `/users/me/sources${buildQuery({ org_id: orgId, ...params })}`);
+  }
+
+  getSource(sourceId, orgId) {
+    return this.request('GET', `/sources/${sourceId}${buildQuery({ org_id: orgId })}`);
+  }
+
+  // `sourceData` takes component_code, component_url or component_id, plus
+  // name and configured_props
+  createSource(sourceData) {
+    return this.request('POST', '/sources', sourceData);
+  }
+
+  updateSource(sourceId, sourceData) {
+    return this.request('PUT', `/sources/${sourceId}`, sourceData);
+  }
+
+  deleteSource(sourceId, orgId) {
+    return this.request('DELETE', `/sources/${sourceId}${buildQuery({ org_id: orgId })}`);
+  }
+
+  // Live events emitted by a source. Pass the id of the last event seen as
+  // lastEventId to resume after a dropped connection.
+  streamSourceEvents(sourceId, orgId, { lastEventId, idleTimeout } = {}) {
+    return this.stream(`/sources/${sourceId}/sse${buildQuery({ org_id: orgId })}`, {
+      headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {},
+      idleTimeout
+    });
+  }
+
+  // Subscriptions: listeners (workflows or sources) receiving the events of
+  // an emitter
+
+  listSubscriptions(orgId) {
+    return this.request('GET', `/users/me/subscriptions${buildQuery({ org_id: orgId })}`);
+  }
+
+  subscribe(emitterId, listenerId, eventName, orgId) {
+    return this.request('POST', `/subscriptions${buildQuery({ emitter_id: emitterId, listener_id: listenerId, event_name: eventName, org_id: orgId })}`);
+  }
+
+  unsubscribe(emitterId, listenerId, eventName, orgId) {
+    return this.request('DELETE', `/subscriptions${buildQuery({ emitter_id: emitterId, listener_id: listenerId, event_name: eventName, org_id: orgId })}`);
+  }
+
+  // Connected accounts (apn_...) of the workspace. `params` takes app (an app
+  // slug or ID), limit and after. Credentials are never requested.
+
+  listAccounts(orgId, params = {}) {
+    return this.request('GET', `/users/me/accounts${buildQuery({ org_id: orgId, ...params })}`);
+  }
+
+  // Apps of the public registry. `params` takes q (a search term), limit and
+  // after.
+  listApps(params = {}) {
+    return this.request('GET', `/apps${buildQuery(params)}`);
+  }
+}
+
+// Create a client from command options, falling back to environment variables
+// (PIPEDREAM_API_URL, PIPEDREAM_API_TIMEOUT) for the connection settings
+function createApiClient(options = {}) {
+  return new ApiClient({
+    apiKey: options.apiKey || process.env.PIPEDREAM_API_KEY,
+    baseUrl: options.baseUrl || process.env.PIPEDREAM_API_URL,
+    timeout: options.timeout || parseInt(process.env.PIPEDREAM_API_TIMEOUT, 10) || undefined,
+    verbose: options.verbose
+  });
+}
+
+// Like createApiClient, but fails early when no API key is configured
+function requireApiClient(options = {}) {
+  const client = createApiClient(options);
+
+  if (!client.apiKey) {
+    throw new ConfigurationError('API key is required. Provide via --apiKey option or set PIPEDREAM_API_KEY in .env file');
+  }
+
+  return client;
+}
+
+module.exports = {
+  ApiClient,
+  ApiError,
+  createApiClient,
+  requireApiClient,
+  DEFAULT_BASE_URL
+};
@@ -0,0 +1,52 @@
+const readline = require('readline');
+const { printResult } = require('./output');
+const { ValidationError } = require('./errors');
+
+// Run a library operation as a CLI command: report the result in --json mode,
+// turn thrown errors into an error message, and exit with the right code.
+// Errors with a `result` (partial failures) still report it in --json mode.
+async function runCommand(action) {
+  try {
+    const result = await action();
+    printResult(result || {});
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.result) {
+      printResult({ ...error.result, success: false, error: error.message });
+    }
+    process.exit(1);
+  }
+}
+
+// Options for calling a library function from the CLI: log progress to the
+// console and allow interactive prompts (e.g. the workspace picker)
+function cliOptions(options) {
+  return { ...options, logger: console, interactive: true };
+}
+
+// Ask the user to type `expected` to confirm a destructive action. The prompt
+// goes to stderr so it doesn't end up in --json output.
+async function confirmTyped(expected, message) {
+  if (!process.stdin.isTTY) {
+    throw new ValidationError('Confirmation required. Re-run with --yes to skip the prompt.');
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr
+  });
+
+  try {
+    const answer = await new Promise(resolve => rl.question(`${message} Type "${expected}" to confirm: `, resolve));
+    return answer.trim() === expected;
+  } finally {
+    rl.close();
+  }
+}
+
+module.exports = {
+  cliOptions,
+  confirmTyped,
+  runCommand
+};
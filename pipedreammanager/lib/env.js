@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const path = require('path');
+const dotenv = require('dotenv');
+const { ValidationError } = require('./errors');
+
+// Environment variables: .env files, masking values for output, and keeping
+// local secrets out of the files we write.
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Variables whose name has one of these words hold credentials; the others
+// (DEFAULT_SCHEDULE, PIPEDREAM_ORG_ID, ...) are configuration
+const SECRET_NAME_PATTERN = /(^|_)(API_?KEY|KEY|SECRET|TOKEN|PASSWORD|PASSWD|PASS|PWD|CREDENTIALS?|PRIVATE|AUTH|DSN)(_|$)/i;
+// Shorter values (flags, ports, "true") are too likely to appear by chance
+// to be treated as secrets
+const MIN_SECRET_LENGTH = 8;
+
+function validateEnvName(name) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new ValidationError(`Invalid environment variable name "${name}": use letters, digits and underscores, not starting with a digit`);
+  }
+  return name;
+}
+
+// .env files (.env, .env.production, ...), except .env.example templates
+function isEnvFile(fileName) {
+  return /^\.env(\..+)?$/.test(fileName) && !fileName.endsWith('.example');
+}
+
+// Parse a dotenv file into { NAME: value }
+async function readEnvFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Could not read ${filePath}: ${error.message}`);
+  }
+
+  const variables = dotenv.parse(text);
+  Object.keys(variables).forEach(validateEnvName);
+  return variables;
+}
+
+// Hide a value for display. Long values keep their last four characters so
+// they can still be told apart.
+function maskValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = String(value);
+  if (text.length === 0) {
+    return '';
+  }
+  return text.length >= 12 ? `****${text.slice(-4)}` : '********';
+}
+
+function isSecretName(name) {
+  return SECRET_NAME_PATTERN.test(name);
+}
+
+// Values of the secret variables (see isSecretName) of the .env files (.env,
+// .env.production, ...) in the given directories, as value => variable name
+async function readLocalSecrets(dirs) {
+  const secrets = new Map();
+
+  for (const dir of dirs) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const envFiles = entries.filter(entry => entry.isFile() && isEnvFile(entry.name));
+
+    for (const entry of envFiles) {
+      const variables = dotenv.parse(await fs.readFile(path.join(dir, entry.name), 'utf8').catch(() => ''));
+      Object.entries(variables).forEach(([name, value]) => {
+        if (isSecretName(name) && value.length >= MIN_SECRET_LENGTH && !secrets.has(value)) {
+          secrets.set(value, name);
+        }
+      });
+    }
+  }
+
+  return secrets;
+}
+
+// Copy of a JSON value with every string passed through fn
+function mapStrings(value, fn) {
+  if (typeof value === 'string') {
+    return fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, fn));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = mapStrings(value[key], fn);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+// Replace the strings of `data` that are a secret value, as a whole, with a
+// {{process.env.NAME}} reference, which Pipedream resolves in step props.
+// Strings that merely contain a secret are left alone. Returns the redacted
+// copy and the names of the secrets found.
+function redactSecrets(data, secrets) {
+  const found = new Set();
+
+  const redacted = mapStrings(data, (value) => {
+    if (!secrets.has(value)) {
+      return value;
+    }
+    found.add(secrets.get(value));
+    return `{{process.env.${secrets.get(value)}}}`;
+  });
+
+  return { data: redacted, redacted: [...found] };
+}
+
+// Undo redactSecrets where Pipedream doesn't resolve the references (trigger
+// props): references to one of the secrets get the local value back
+function restoreSecrets(data, secrets) {
+  const values = new Map([...secrets].map(([value, name]) => [`{{process.env.${name}}}`, value]));
+  return mapStrings(data, value => (values.has(value) ? values.get(value) : value));
+}
+
+module.exports = {
+  validateEnvName,
+  isEnvFile,
+  readEnvFile,
+  maskValue,
+  isSecretName,
+  readLocalSecrets,
+  redactSecrets,
+  restoreSecrets
+};
@@ -0,0 +1,39 @@
+// Error types thrown by the pdmanager library API. The CLI turns them into
+// an error message and a non-zero exit code; library users can branch on the
+// class or on `code`.
+
+class PdManagerError extends Error {
+  constructor(message, code = 'PDMANAGER_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Missing or invalid configuration: API key, project ID, workflow directory, ...
+class ConfigurationError extends PdManagerError {
+  constructor(message) {
+    super(message, 'CONFIGURATION_ERROR');
+  }
+}
+
+// Invalid input passed to a command
+class ValidationError extends PdManagerError {
+  constructor(message) {
+    super(message, 'VALIDATION_ERROR');
+  }
+}
+
+// The remote state conflicts with the requested change (e.g. push after a remote edit)
+class ConflictError extends PdManagerError {
+  constructor(message) {
+    super(message, 'CONFLICT_ERROR');
+  }
+}
+
+module.exports = {
+  PdManagerError,
+  ConfigurationError,
+  ValidationError,
+  ConflictError
+};
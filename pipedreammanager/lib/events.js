@@ -0,0 +1,125 @@
+// Workflow event summaries as returned by /workflows/{id}/event_summaries
+// and the $errors stream (with expand=event). Their fields vary by trigger
+// and by stream, so they are read defensively and normalized to:
+//
+//   { id, timestamp, status, duration_ms, failed_step, error,
+//     trigger_event, steps: [{ name, exports, error }] }
+
+const HTTP_FIXTURE_FIELDS = ['method', 'path', 'query', 'headers', 'body'];
+
+function errorMessage(error) {
+  if (!error) {
+    return null;
+  }
+  if (typeof error === 'string') {
+    return error;
+  }
+  return error.msg || error.message || error.name || error.code || 'Unknown error';
+}
+
+// Step results come as an array of { name|namespace, exports, error } or as
+// an object keyed by step name
+function normalizeSteps(steps) {
+  const entries = Array.isArray(steps)
+    ? steps.map(step => [step.name || step.namespace || step.key, step])
+    : Object.entries(steps || {});
+
+  return entries.map(([name, step]) => {
+    const value = step && typeof step === 'object' ? step : { exports: step };
+    const exports = value.exports !== undefined
+      ? value.exports
+      : (value.$return_value !== undefined ? { $return_value: value.$return_value } : {});
+
+    return {
+      name: String(name),
+      exports,
+      error: errorMessage(value.error)
+    };
+  });
+}
+
+function normalizeEvent(summary, { errorStream = false } = {}) {
+  const event = summary.event || {};
+  const metadata = summary.metadata || {};
+  const error = summary.error || event.error || null;
+  const steps = normalizeSteps(summary.steps || event.steps || metadata.steps);
+  const failingStep = steps.find(step => step.error);
+
+  const timestamp = summary.indexed_at_ms || summary.ts || metadata.ts || null;
+  const duration = metadata.duration_ms || summary.duration_ms || summary.execution_time_ms || null;
+
+  // The $errors stream wraps the original trigger event
+  const triggerEvent = errorStream || event.original_event !== undefined
+    ? (event.original_event !== undefined ? event.original_event : null)
+    : event;
+
+  return {
+    id: String(summary.id),
+    timestamp: timestamp ? new Date(Number(timestamp)).toISOString() : null,
+    status: error || failingStep || errorStream ? 'error' : (metadata.status || summary.status || 'success'),
+    duration_ms: duration,
+    failed_step: (failingStep && failingStep.name) ||
+      (error && (error.step || error.step_name || error.cellId)) || null,
+    error: errorMessage(error) || (failingStep && failingStep.error) || null,
+    trigger_event: triggerEvent,
+    steps
+  };
+}
+
+// Events emitted by a source (SSE messages or source event summaries) have
+// no steps; the emitted payload is the trigger event
+function normalizeSourceEvent(message, fallbackId = null) {
+  const metadata = message.metadata || {};
+  const payload = message.e !== undefined ? message.e : (message.event !== undefined ? message.event : message);
+  const timestamp = message.ts || message.indexed_at_ms || metadata.ts || null;
+
+  return {
+    id: String(message.id || metadata.emit_id || fallbackId),
+    timestamp: timestamp ? new Date(Number(timestamp)).toISOString() : null,
+    status: 'success',
+    duration_ms: null,
+    failed_step: null,
+    error: null,
+    trigger_event: payload,
+    steps: []
+  };
+}
+
+// Summary row of an event, without payloads
+function eventSummary(event) {
+  const { trigger_event: triggerEvent, steps, ...summary } = event;
+  return { ...summary, steps: steps.map(step => step.name) };
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '';
+  }
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Turn a trigger event into a fixture for invoke and pdcreator test: HTTP
+// events keep method, path, query, headers and body; others are used as-is
+function eventToFixture(triggerEvent) {
+  const isHttp = triggerEvent && typeof triggerEvent === 'object' &&
+    typeof triggerEvent.method === 'string' && triggerEvent.headers !== undefined;
+
+  if (!isHttp) {
+    return triggerEvent;
+  }
+
+  return HTTP_FIXTURE_FIELDS.reduce((fixture, field) => {
+    if (triggerEvent[field] !== undefined) {
+      fixture[field] = triggerEvent[field];
+    }
+    return fixture;
+  }, {});
+}
+
+module.exports = {
+  normalizeEvent,
+  normalizeSourceEvent,
+  eventSummary,
+  eventToFixture,
+  formatDuration
+};
@@ -0,0 +1,101 @@
+// Library entry point of pipedreammanager. Exposes the API-based commands as
+// functions that take the same options as the CLI (camelCased), return a
+// result object and throw the errors below instead of exiting the process.
+//
+// Pass `logger: console` to see progress messages; by default they are silent.
+
+const { createWorkflow, createWorkflows } = require('../commands/create-workflow');
+const { cloneWorkflow } = require('../commands/clone-workflow');
+const { listProjects } = require('../commands/list-projects');
+const { listWorkflows } = require('../commands/list-workflows');
+const { listSteps } = require('../commands/list-steps');
+const { addStep } = require('../commands/add-step');
+const { pull } = require('../commands/pull');
+const { push } = require('../commands/push');
+const { diff } = require('../commands/diff');
+const { deleteWorkflow } = require('../commands/delete-workflow');
+const { deleteProject } = require('../commands/delete-project');
+const { exportProject } = require('../commands/export');
+const { importProject } = require('../commands/import');
+const { refreshMetadata } = require('../commands/refresh-metadata');
+const { invoke } = require('../commands/invoke');
+const { logs } = require('../commands/logs');
+const { tail } = require('../commands/tail');
+const { listTriggers } = require('../commands/list-triggers');
+const {
+  listSources,
+  getSource,
+  createSource,
+  updateSourceProps,
+  deleteSource,
+  listSubscriptions,
+  updateSubscription
+} = require('../commands/sources');
+const {
+  envList,
+  envSet,
+  envUnset,
+  envImport,
+  envDiff
+} = require('../commands/env');
+const { listAccounts, bindStepAccount } = require('../commands/accounts');
+const { setWorkflow } = require('../commands/workflow');
+const { plan } = require('../commands/plan');
+const { apply } = require('../commands/apply');
+const { ApiClient, ApiError, createApiClient } = require('./api-client');
+const { resolveOrgId } = require('./workspace');
+const { resolveProject } = require('./project-config');
+const {
+  PdManagerError,
+  ConfigurationError,
+  ValidationError,
+  ConflictError
+} = require('./errors');
+
+module.exports = {
+  createWorkflow,
+  createWorkflows,
+  cloneWorkflow,
+  listProjects,
+  listWorkflows,
+  listSteps,
+  listTriggers,
+  addStep,
+  pull,
+  refreshMetadata,
+  invoke,
+  logs,
+  tail,
+  listSources,
+  getSource,
+  createSource,
+  updateSourceProps,
+  deleteSource,
+  listSubscriptions,
+  updateSubscription,
+  envList,
+  envSet,
+  envUnset,
+  envImport,
+  envDiff,
+  listAccounts,
+  bindStepAccount,
+  setWorkflow,
+  push,
+  diff,
+  deleteWorkflow,
+  deleteProject,
+  exportProject,
+  importProject,
+  plan,
+  apply,
+  ApiClient,
+  ApiError,
+  createApiClient,
+  resolveOrgId,
+  resolveProject,
+  PdManagerError,
+  ConfigurationError,
+  ValidationError,
+  ConflictError
+};
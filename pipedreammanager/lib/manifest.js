@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+const { BUILTIN_TRIGGERS } = require('./triggers');
+const { validateSchedule } = require('./schedule');
+const { bindAccount, stepApp } = require('./accounts');
+const { resolveProject } = require('./project-config');
+
+// Declarative project manifest (pipedream.yaml in the project root), read by
+// plan and apply:
+//
+//   project: proj_abc123            # optional, defaults to config.ini
+//   workflows:
+//     - name: Daily Report
+//       settings:
+//         description: Sends the daily report
+//         active: true
+//       trigger:                    # same shape as the workflow.json trigger block
+//         type: schedule
+//         schedule: "0 9 * * *"
+//         timezone: Europe/Berlin
+//       steps:
+//         - name: build_report
+//           code_file: src/build-report.js   # relative to pipedream.yaml
+//         - name: notify
+//           app: slack
+//           component_key: slack-send-message
+//           account: apn_abc123              # bound to the app prop (slack)
+//           props:
+//             text: "{{steps.build_report.$return_value}}"
+
+const MANIFEST_FILE = 'pipedream.yaml';
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Find pipedream.yaml in the given (or current) directory or the project
+// directory it belongs to
+async function findManifestPath(cwd = process.cwd()) {
+  const candidates = [
+    path.join(cwd, MANIFEST_FILE),
+    path.join((await resolveProject(cwd)).projectDir, MANIFEST_FILE)
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch (error) {
+      // Try the next location
+    }
+  }
+
+  return null;
+}
+
+function validateTrigger(trigger, where) {
+  if (!isObject(trigger) || !trigger.type) {
+    throw new ValidationError(`${where}: trigger needs a type (${BUILTIN_TRIGGERS.join(', ')} or app)`);
+  }
+
+  switch (trigger.type) {
+    case 'http':
+    case 'email':
+      return { ...trigger };
+    case 'schedule':
+      if (!trigger.schedule) {
+        throw new ValidationError(`${where}: schedule triggers need a cron expression in "schedule"`);
+      }
+      try {
+        return { ...trigger, schedule: validateSchedule(trigger.schedule, trigger.timezone) };
+      } catch (error) {
+        throw new ValidationError(`${where}: ${error.message}`);
+      }
+    case 'rss':
+      if (!trigger.url) {
+        throw new ValidationError(`${where}: RSS triggers need a feed "url"`);
+      }
+      return { ...trigger };
+    case 'app':
+      if (!trigger.app || !trigger.component_key) {
+        throw new ValidationError(`${where}: app triggers need "app" and "component_key"`);
+      }
+      return { props: {}, ...trigger };
+    default:
+      throw new ValidationError(`${where}: unknown trigger type "${trigger.type}". Use ${BUILTIN_TRIGGERS.join(', ')} or app`);
+  }
+}
+
+// Turn a manifest step into a normalized step (see normalizeStep in
+// lib/workflow-files.js), reading code_file relative to the manifest
+async function loadStep(step, where, baseDir) {
+  if (!isObject(step) || !step.name) {
+    throw new ValidationError(`${where}: every step needs a name`);
+  }
+
+  const hasCode = step.code !== undefined || step.code_file !== undefined;
+  if (hasCode === Boolean(step.component_key)) {
+    throw new ValidationError(`${where}: step "${step.name}" needs either code/code_file or component_key`);
+  }
+
+  if (step.props !== undefined && !isObject(step.props)) {
+    throw new ValidationError(`${where}: props of step "${step.name}" must be a mapping`);
+  }
+
+  let code = step.code || null;
+  if (step.code_file) {
+    try {
+      code = await fs.readFile(path.resolve(baseDir, step.code_file), 'utf8');
+    } catch (error) {
+      throw new ValidationError(`${where}: could not read ${step.code_file}: ${error.message}`);
+    }
+  }
+
+  const loaded = {
+    name: String(step.name),
+    type: code ? 'code' : 'action',
+    ...(step.app ? { app: step.app } : {}),
+    ...(step.component_key ? { component_key: step.component_key } : {}),
+    ...(step.lang ? { lang: step.lang } : {}),
+    props: step.props || {},
+    code
+  };
+
+  if (step.account === undefined) {
+    return loaded;
+  }
+
+  // Code steps can have several app props; they bind accounts in props
+  if (!stepApp(loaded)) {
+    throw new ValidationError(`${where}: step "${loaded.name}" has no app to bind the account to. Set "app", or bind it in props as <prop>: { authProvisionId: ${step.account} }`);
+  }
+
+  try {
+    return bindAccount(loaded, String(step.account));
+  } catch (error) {
+    throw new ValidationError(`${where}: ${error.message}`);
+  }
+}
+
+// Read and validate pipedream.yaml. Workflows are returned in the shape of
+// normalizeWorkflow(), plus `active` from their settings.
+async function readManifest(manifestPath) {
+  let document;
+  try {
+    document = YAML.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Could not read ${manifestPath}: ${error.message}`);
+  }
+
+  const file = path.basename(manifestPath);
+  if (!isObject(document) || !Array.isArray(document.workflows)) {
+    throw new ValidationError(`${file} must contain a "workflows" list`);
+  }
+
+  const baseDir = path.dirname(manifestPath);
+  const names = new Set();
+  const workflows = [];
+
+  for (const [index, entry] of document.workflows.entries()) {
+    const where = `${file}: workflows[${index}]`;
+
+    if (!isObject(entry) || !entry.name) {
+      throw new ValidationError(`${where}: every workflow needs a name`);
+    }
+    if (names.has(entry.name)) {
+      throw new ValidationError(`${where}: duplicate workflow name "${entry.name}"`);
+    }
+    names.add(entry.name);
+
+    const settings = entry.settings || {};
+    if (!isObject(settings)) {
+      throw new ValidationError(`${where}: settings must be a mapping`);
+    }
+
+    const stepNames = new Set();
+    const steps = [];
+    for (const [stepIndex, step] of (entry.steps || []).entries()) {
+      const loaded = await loadStep(step, `${where}.steps[${stepIndex}]`, baseDir);
+
+      if (stepNames.has(loaded.name)) {
+        throw new ValidationError(`${where}.steps[${stepIndex}]: duplicate step name "${loaded.name}"`);
+      }
+      stepNames.add(loaded.name);
+      steps.push(loaded);
+    }
+
+    workflows.push({
+      name: String(entry.name),
+      description: settings.description || '',
+      ...(settings.active !== undefined ? { active: Boolean(settings.active) } : {}),
+      triggers: entry.trigger ? [validateTrigger(entry.trigger, where)] : [],
+      steps
+    });
+  }
+
+  return {
+    path: manifestPath,
+    project: document.project || null,
+    workflows
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  findManifestPath,
+  readManifest
+};
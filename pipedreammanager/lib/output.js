@@ -0,0 +1,76 @@
+// Output handling for the global --json flag. In JSON mode every console.log
+// diagnostic goes to stderr and stdout carries exactly one JSON result object,
+// so scripts (and pdcreator) can parse it without scraping human text.
+
+const writeStdout = (text) => process.stdout.write(text);
+const originalConsoleError = console.error;
+
+let jsonMode = false;
+let resultPrinted = false;
+let lastError = null;
+
+function isJsonMode() {
+  return jsonMode;
+}
+
+function enableJsonMode() {
+  if (jsonMode) {
+    return;
+  }
+
+  jsonMode = true;
+
+  console.log = (...args) => originalConsoleError(...args);
+  console.info = console.log;
+
+  // Remember the last error message so a failed run can still report it
+  console.error = (...args) => {
+    lastError = args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' ');
+    originalConsoleError(...args);
+  };
+
+  // Commands that exit without printing a result still produce one object
+  process.on('exit', (code) => {
+    if (!resultPrinted) {
+      writeStdout(`${JSON.stringify(code === 0 ? { success: true } : { success: false, error: lastError || `Exited with code ${code}` })}\n`);
+      resultPrinted = true;
+    }
+  });
+}
+
+// Print the result object of a command. Ignored outside JSON mode, where
+// commands print their own human-readable summary.
+function printResult(result) {
+  if (!jsonMode || resultPrinted) {
+    return;
+  }
+
+  writeStdout(`${JSON.stringify({ success: true, ...result }, null, 2)}\n`);
+  resultPrinted = true;
+}
+
+// Print one compact JSON object per line for streaming commands (tail).
+// Once a line is out, no trailing result object is added, so stdout stays
+// newline-delimited JSON.
+function printJsonLine(value) {
+  writeStdout(`${JSON.stringify(value)}\n`);
+  resultPrinted = true;
+}
+
+// Logger used by library functions when the caller doesn't pass one
+const silentLogger = {
+  log() {},
+  error() {}
+};
+
+function getLogger(options = {}) {
+  return options.logger || silentLogger;
+}
+
+module.exports = {
+  getLogger,
+  isJsonMode,
+  enableJsonMode,
+  printJsonLine,
+  printResult
+};
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ini = require('ini');
+
+// Project discovery. A project directory holds config.ini and, under
+// workflows/<id>/, one folder per workflow with its workflow.json:
+//
+//   my-project/config.ini
+//   my-project/workflows/p_abc123/workflow.json
+//
+// Commands may run anywhere below the project directory.
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Find config.ini in the given (or current) directory or the nearest one
+// above it, up to the filesystem root
+async function findConfigPath(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    const candidate = path.join(dir, 'config.ini');
+    if (await exists(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// The workflows/<id>/ folder the given directory is in (or below), if it has
+// a workflow.json
+async function findEnclosingWorkflowDir(cwd) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    if (path.basename(parent) === 'workflows' && await exists(path.join(dir, 'workflow.json'))) {
+      return dir;
+    }
+    dir = parent;
+  }
+}
+
+// Project and workflow context of a directory:
+//
+//   {
+//     projectDir,   directory of config.ini, or the one holding workflows/
+//     configPath,   config.ini, or null
+//     config,       parsed config.ini, or {}
+//     projectId,    [project] id of config.ini, or project_id of workflow.json
+//     workflowDir,  workflows/<id>/ folder the directory is in, or null
+//     workflowId    id from its workflow.json (or the folder name)
+//   }
+async function resolveProject(cwd = process.cwd()) {
+  const workflowDir = await findEnclosingWorkflowDir(cwd);
+  const configPath = await findConfigPath(cwd);
+
+  let config = {};
+  if (configPath) {
+    try {
+      config = await readConfig(configPath);
+    } catch (error) {
+      config = {};
+    }
+  }
+
+  let metadata = {};
+  if (workflowDir) {
+    try {
+      metadata = JSON.parse(await fs.readFile(path.join(workflowDir, 'workflow.json'), 'utf8'));
+    } catch (error) {
+      metadata = {};
+    }
+  }
+
+  return {
+    projectDir: configPath
+      ? path.dirname(configPath)
+      : (workflowDir ? path.dirname(path.dirname(workflowDir)) : path.resolve(cwd)),
+    configPath,
+    config,
+    projectId: (config.project && config.project.id) || metadata.project_id || null,
+    workflowDir,
+    workflowId: workflowDir ? (metadata.id || path.basename(workflowDir)) : null
+  };
+}
+
+// Project ID of the project the given directory belongs to, or null
+async function getProjectIdFromConfig(cwd = process.cwd()) {
+  return (await resolveProject(cwd)).projectId;
+}
+
+async function readConfig(configPath) {
+  return ini.parse(await fs.readFile(configPath, 'utf8'));
+}
+
+async function writeConfig(configPath, config) {
+  await fs.writeFile(configPath, ini.stringify(config, { whitespace: true }));
+}
+
+// List the config.ini entries that point at a deleted project or workflow:
+// the whole [project] section for the project itself, and any other key whose
+// value is the ID. Returns [{ section, key }], with key null for a section.
+function findConfigReferences(config, id) {
+  const references = [];
+
+  Object.entries(config).forEach(([section, values]) => {
+    if (!values || typeof values !== 'object') {
+      return;
+    }
+
+    if (section === 'project' && values.id === id) {
+      references.push({ section, key: null });
+      return;
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === id) {
+        references.push({ section, key });
+      }
+    });
+  });
+
+  return references;
+}
+
+function removeConfigReferences(config, references) {
+  references.forEach(({ section, key }) => {
+    if (key === null) {
+      delete config[section];
+    } else if (config[section]) {
+      delete config[section][key];
+    }
+  });
+
+  return config;
+}
+
+module.exports = {
+  findConfigPath,
+  resolveProject,
+  getProjectIdFromConfig,
+  readConfig,
+  writeConfig,
+  findConfigReferences,
+  removeConfigReferences
+};
@@ -0,0 +1,97 @@
+const cronParser = require('cron-parser');
+const { ValidationError } = require('./errors');
+
+// Cron handling for schedule triggers: validation, timezones and a preview
+// of the next fire times. Pipedream schedules use standard five-field cron
+// expressions (minute hour day-of-month month day-of-week).
+
+const DEFAULT_PREVIEW_COUNT = 5;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Throw a ValidationError unless the expression is a valid five-field cron
+// expression (and the timezone, when given, an IANA timezone name)
+function validateSchedule(expression, timezone) {
+  const fields = String(expression || '').trim().split(/\s+/).filter(Boolean);
+
+  if (fields.length !== 5) {
+    throw new ValidationError(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week), got ${fields.length}`);
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new ValidationError(`Invalid timezone "${timezone}". Use an IANA name like Europe/Berlin or America/New_York`);
+  }
+
+  try {
+    cronParser.parseExpression(fields.join(' '), { tz: timezone || 'UTC' });
+  } catch (error) {
+    throw new ValidationError(`Invalid cron expression "${expression}": ${error.message}`);
+  }
+
+  return fields.join(' ');
+}
+
+// Next fire times of a schedule as Date objects
+function nextRuns(expression, timezone, count = DEFAULT_PREVIEW_COUNT, from = new Date()) {
+  const interval = cronParser.parseExpression(validateSchedule(expression, timezone), {
+    currentDate: from,
+    tz: timezone || 'UTC'
+  });
+
+  const runs = [];
+  for (let i = 0; i < count; i++) {
+    runs.push(interval.next().toDate());
+  }
+
+  return runs;
+}
+
+// Format a fire time in the schedule's timezone (UTC without one)
+function formatRun(date, timezone) {
+  const formatted = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hour12: false
+  }).format(date);
+
+  return `${formatted} ${timezone || 'UTC'}`;
+}
+
+// Lines of the next-run preview, for printing
+function describeNextRuns(expression, timezone, count = DEFAULT_PREVIEW_COUNT) {
+  try {
+    return nextRuns(expression, timezone, count).map(date => formatRun(date, timezone));
+  } catch (error) {
+    return [`(no preview: ${error.message})`];
+  }
+}
+
+// The --preview option: how many upcoming runs to show
+function parsePreviewCount(preview) {
+  const previewCount = preview === undefined ? DEFAULT_PREVIEW_COUNT : parseInt(preview, 10);
+  if (!(previewCount >= 0)) {
+    throw new ValidationError('--preview must be a number of fire times (0 or more)');
+  }
+  return previewCount;
+}
+
+module.exports = {
+  DEFAULT_PREVIEW_COUNT,
+  validateSchedule,
+  nextRuns,
+  formatRun,
+  describeNextRuns,
+  parsePreviewCount
+};
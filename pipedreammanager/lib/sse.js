@@ -0,0 +1,76 @@
+// Minimal reader for text/event-stream responses
+// (https://html.spec.whatwg.org/multipage/server-sent-events.html).
+
+// Call onMessage({ id, event, data }) for every message of the stream.
+// Resolves when the server closes the stream and rejects when the connection
+// breaks. Comment lines (": ping") only keep the connection alive.
+function readServerSentEvents(stream, onMessage) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let message = { id: null, event: 'message', data: [] };
+    let settled = false;
+
+    const settle = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const dispatch = () => {
+      if (message.data.length > 0) {
+        try {
+          onMessage({ id: message.id, event: message.event, data: message.data.join('\n') });
+        } catch (error) {
+          stream.destroy();
+          settle(error);
+        }
+      }
+      message = { id: null, event: 'message', data: [] };
+    };
+
+    const processLine = (line) => {
+      if (line === '') {
+        dispatch();
+        return;
+      }
+      if (line.startsWith(':')) {
+        return;
+      }
+
+      const index = line.indexOf(':');
+      const field = index === -1 ? line : line.slice(0, index);
+      const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+
+      if (field === 'data') {
+        message.data.push(value);
+      } else if (field === 'event') {
+        message.event = value;
+      } else if (field === 'id') {
+        message.id = value;
+      }
+    };
+
+    stream.setEncoding('utf8');
+
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    });
+
+    stream.on('end', () => settle());
+    stream.on('error', error => settle(error));
+    stream.on('close', () => settle(stream.readableEnded ? null : new Error('Connection closed')));
+  });
+}
+
+module.exports = {
+  readServerSentEvents
+};
@@ -0,0 +1,32 @@
+// Render rows as a plain-text table. `columns` is a list of
+// { key, header } objects; cell values are stringified as-is.
+function formatTable(rows, columns) {
+  const cell = (row, column) => {
+    const value = row[column.key];
+    return value === undefined || value === null ? '' : String(value);
+  };
+
+  const widths = columns.map(column =>
+    Math.max(column.header.length, ...rows.map(row => cell(row, column).length))
+  );
+
+  const formatRow = (values) => values
+    .map((value, index) => value.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    formatRow(columns.map(column => column.header)),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => formatRow(columns.map(column => cell(row, column))))
+  ].join('\n');
+}
+
+function printTable(rows, columns) {
+  console.log(formatTable(rows, columns));
+}
+
+module.exports = {
+  formatTable,
+  printTable
+};
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { validateSchedule } = require('./schedule');
+
+// Trigger components for the workflow create API, shared by create-workflow
+// and import. A trigger is described by the same object that workflow.json
+// records in its `trigger` block:
+//
+//   { type: 'http', path }
+//   { type: 'schedule', schedule, timezone }
+//   { type: 'email' }
+//   { type: 'rss', url, props }
+//   { type: 'app', app: 'github', component_key: 'github-new-issue', props }
+
+const DEFAULT_SCHEDULE = '0 0 * * *';
+
+const BUILTIN_TRIGGERS = ['http', 'schedule', 'email', 'rss'];
+
+// Registry components behind the built-in email and RSS triggers
+const EMAIL_COMPONENT_KEY = 'email-new-email';
+const RSS_COMPONENT_KEY = 'rss-new-item-in-feed';
+
+// Cron expression for a schedule trigger: the option, DEFAULT_SCHEDULE from
+// .env, or daily at midnight
+function resolveSchedule(schedule) {
+  // Remove quotes if present in the environment variable
+  return (schedule || process.env.DEFAULT_SCHEDULE || DEFAULT_SCHEDULE).replace(/"/g, '');
+}
+
+// Trigger props from a JSON file, or given inline as an object (workflow specs)
+async function readTriggerProps(propsPath, cwd = process.cwd()) {
+  if (!propsPath) {
+    return {};
+  }
+
+  if (typeof propsPath === 'object' && !Array.isArray(propsPath)) {
+    return propsPath;
+  }
+
+  let props;
+  try {
+    props = JSON.parse(await fs.readFile(path.resolve(cwd, propsPath), 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Could not read trigger props from ${propsPath}: ${error.message}`);
+  }
+
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    throw new ValidationError(`Trigger props in ${propsPath} must be a JSON object`);
+  }
+
+  return props;
+}
+
+// Turn the --trigger option (and its companion options) into a trigger
+// config. App sources are given as <app>:<source>, e.g. github:new-issue.
+async function parseTrigger(triggerType, options = {}) {
+  const props = await readTriggerProps(options.triggerProps, options.cwd);
+
+  if (triggerType.includes(':')) {
+    const [app, source] = triggerType.split(':');
+
+    if (!app || !source) {
+      throw new ValidationError(`Invalid app trigger "${triggerType}". Use <app>:<source>, e.g. github:new-issue`);
+    }
+
+    return {
+      type: 'app',
+      app,
+      component_key: source.startsWith(`${app}-`) ? source : `${app}-${source}`,
+      props
+    };
+  }
+
+  switch (triggerType) {
+    case 'http':
+      return { type: 'http', ...(options.triggerPath ? { path: options.triggerPath } : {}) };
+    case 'schedule': {
+      const timezone = options.timezone || process.env.DEFAULT_TIMEZONE;
+      const schedule = validateSchedule(resolveSchedule(options.schedule), timezone);
+
+      return { type: 'schedule', schedule, ...(timezone ? { timezone } : {}) };
+    }
+    case 'email':
+      return { type: 'email' };
+    case 'rss': {
+      const { url = options.feedUrl, ...otherProps } = props;
+
+      if (!url) {
+        throw new ValidationError('RSS triggers need a feed URL. Provide --feed-url <url> or "url" in --trigger-props');
+      }
+
+      return { type: 'rss', url, ...(Object.keys(otherProps).length > 0 ? { props: otherProps } : {}) };
+    }
+    default:
+      throw new ValidationError(`Unknown trigger type "${triggerType}". Use ${BUILTIN_TRIGGERS.join(', ')} or <app>:<source>`);
+  }
+}
+
+// Build the trigger component of the create payload for a trigger config.
+// Returns null for trigger types the API payload can't express.
+function buildTriggerComponent(trigger, workflowName) {
+  switch (trigger.type) {
+    case 'http':
+      return {
+        key: 'trigger',
+        type: 'source',
+        app: 'http',
+        source: {
+          type: 'webhook',
+          name: `${workflowName} HTTP Webhook`,
+          key: 'http-webhook'
+        }
+      };
+    case 'schedule':
+      return {
+        key: 'trigger',
+        type: 'source',
+        app: 'schedule',
+        source: {
+          type: 'cron',
+          name: `${workflowName} Schedule`,
+          key: 'schedule',
+          cron: resolveSchedule(trigger.schedule),
+          ...(trigger.timezone ? { timezone: trigger.timezone } : {})
+        }
+      };
+    case 'email':
+      return {
+        key: 'trigger',
+        type: 'source',
+        app: 'email',
+        source: {
+          type: 'email',
+          name: `${workflowName} Email`,
+          key: EMAIL_COMPONENT_KEY
+        }
+      };
+    case 'rss':
+      return {
+        key: 'trigger',
+        type: 'source',
+        app: 'rss',
+        source: {
+          type: 'rss',
+          name: `${workflowName} RSS Feed`,
+          key: RSS_COMPONENT_KEY
+        },
+        configured_props: { ...(trigger.props || {}), url: trigger.url }
+      };
+    case 'app':
+      return {
+        key: 'trigger',
+        type: 'source',
+        app: trigger.app,
+        source: {
+          type: 'app',
+          name: `${workflowName} ${trigger.app} Trigger`,
+          key: trigger.component_key
+        },
+        configured_props: trigger.props || {}
+      };
+    default:
+      return null;
+  }
+}
+
+// Short label of a trigger for tables and filters: the type, or the app
+// name for app sources
+function triggerLabel(trigger) {
+  return trigger.type === 'app' ? trigger.app : trigger.type;
+}
+
+// One-line description of a trigger config for plans and change lists
+function describeTrigger(trigger) {
+  if (!trigger) {
+    return 'none';
+  }
+
+  if (trigger.type === 'schedule') {
+    return `schedule (${trigger.schedule}${trigger.timezone ? ` ${trigger.timezone}` : ''})`;
+  }
+
+  return trigger.type === 'app' ? trigger.component_key : triggerLabel(trigger);
+}
+
+// Fields that define a trigger, for comparing a local trigger config with a
+// normalized remote one. HTTP paths and email addresses are assigned by
+// Pipedream and not compared.
+function triggerSignature(trigger) {
+  switch (trigger.type) {
+    case 'schedule':
+      return { type: trigger.type, schedule: trigger.schedule, timezone: trigger.timezone || null };
+    case 'rss':
+      return { type: trigger.type, url: trigger.url, props: trigger.props || {} };
+    case 'app':
+      return { type: trigger.type, component_key: trigger.component_key, props: trigger.props || {} };
+    default:
+      return { type: trigger.type };
+  }
+}
+
+function sameTrigger(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+
+  return JSON.stringify(triggerSignature(a)) === JSON.stringify(triggerSignature(b));
+}
+
+module.exports = {
+  BUILTIN_TRIGGERS,
+  EMAIL_COMPONENT_KEY,
+  RSS_COMPONENT_KEY,
+  resolveSchedule,
+  readTriggerProps,
+  parseTrigger,
+  buildTriggerComponent,
+  triggerLabel,
+  describeTrigger,
+  sameTrigger
+};
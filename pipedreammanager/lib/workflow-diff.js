@@ -0,0 +1,143 @@
+// Structural comparison between a local workflow directory and the deployed
+// workflow. Both sides are expected in the shape produced by
+// normalizeWorkflow()/localToWorkflow() in lib/workflow-files.js.
+
+const { createTwoFilesPatch } = require('diff');
+const { EXECUTION_SETTINGS } = require('./workflow-files');
+
+const SETTINGS_FIELDS = ['name', 'description'];
+
+function isEqual(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Compare one step present on both sides
+function diffStep(localStep, remoteStep) {
+  const changes = [];
+
+  if (!isEqual(localStep.props || {}, remoteStep.props || {})) {
+    changes.push('props');
+  }
+
+  if ((localStep.code || null) !== (remoteStep.code || null)) {
+    changes.push('code');
+  }
+
+  ['type', 'app', 'component_key'].forEach(field => {
+    if (localStep[field] !== undefined && !isEqual(localStep[field], remoteStep[field])) {
+      changes.push(field);
+    }
+  });
+
+  return changes;
+}
+
+// Execution settings (concurrency, timeout, ...) the local side sets to
+// something other than the deployed value. Settings the local side leaves
+// out are not compared.
+function diffExecutionSettings(local, remote) {
+  const localSettings = local.settings || {};
+  const remoteSettings = remote.settings || {};
+
+  return EXECUTION_SETTINGS
+    .filter(field => localSettings[field] !== undefined && !isEqual(localSettings[field], remoteSettings[field]))
+    .map(field => ({
+      field,
+      local: localSettings[field],
+      remote: remoteSettings[field] === undefined ? null : remoteSettings[field]
+    }));
+}
+
+// Compute settings and step differences. Steps are matched by name.
+function diffWorkflow(local, remote) {
+  const settings = SETTINGS_FIELDS
+    .filter(field => !isEqual(local[field] || '', remote[field] || ''))
+    .map(field => ({ field, local: local[field] || '', remote: remote[field] || '' }))
+    .concat(diffExecutionSettings(local, remote));
+
+  const remoteByName = new Map(remote.steps.map((step, index) => [step.name, { step, index }]));
+  const localNames = new Set(local.steps.map(step => step.name));
+  const steps = [];
+
+  local.steps.forEach((localStep, index) => {
+    const match = remoteByName.get(localStep.name);
+
+    if (!match) {
+      steps.push({ name: localStep.name, status: 'added', index, local: localStep, remote: null, changes: [] });
+      return;
+    }
+
+    const changes = diffStep(localStep, match.step);
+    const moved = match.index !== index;
+
+    if (changes.length > 0 || moved) {
+      steps.push({
+        name: localStep.name,
+        status: changes.length > 0 ? 'changed' : 'moved',
+        index,
+        remoteIndex: match.index,
+        moved,
+        local: localStep,
+        remote: match.step,
+        changes
+      });
+    }
+  });
+
+  remote.steps.forEach((remoteStep, index) => {
+    if (!localNames.has(remoteStep.name)) {
+      steps.push({ name: remoteStep.name, status: 'removed', remoteIndex: index, local: null, remote: remoteStep, changes: [] });
+    }
+  });
+
+  return {
+    settings,
+    steps,
+    hasChanges: settings.length > 0 || steps.length > 0
+  };
+}
+
+function formatProps(step) {
+  return step ? `${JSON.stringify(step.props || {}, null, 2)}\n` : '';
+}
+
+function formatCode(step) {
+  if (!step || !step.code) {
+    return '';
+  }
+  return step.code.endsWith('\n') ? step.code : `${step.code}\n`;
+}
+
+// Unified diffs (remote -> local) of a step's props and code. Only parts that
+// differ get a patch.
+function createStepPatches(stepDiff) {
+  const patches = {};
+  const parts = { props: formatProps, code: formatCode };
+
+  Object.entries(parts).forEach(([part, format]) => {
+    const before = format(stepDiff.remote);
+    const after = format(stepDiff.local);
+
+    if (before !== after) {
+      const fileName = part === 'props' ? `${stepDiff.name}/props.json` : `${stepDiff.name}/code.js`;
+      const patch = createTwoFilesPatch(`remote/${fileName}`, `local/${fileName}`, before, after, '', '', { context: 3 });
+
+      // Drop the "====" separator and the empty header tabs to match git's format.
+      // The end-of-file marker is noise when one side doesn't exist at all.
+      const missingSide = before === '' || after === '';
+      patches[part] = patch
+        .split('\n')
+        .filter(line => !/^=+$/.test(line))
+        .filter(line => !(missingSide && line.startsWith('\\ No newline')))
+        .map(line => line.replace(/\t$/, ''))
+        .join('\n');
+    }
+  });
+
+  return patches;
+}
+
+module.exports = {
+  diffWorkflow,
+  createStepPatches
+};
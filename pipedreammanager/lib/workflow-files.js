@@ -0,0 +1,488 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { EMAIL_COMPONENT_KEY, RSS_COMPONENT_KEY } = require('./triggers');
+const { readLocalSecrets, redactSecrets, restoreSecrets } = require('./env');
+const { resolveProject } = require('./project-config');
+
+// Local workflow layout (shared by create-workflow, pull and push):
+//
+//   workflows/<id>/workflow.json   metadata, trigger and step configuration
+//   workflows/<id>/code.js         code of the first code step
+//   workflows/<id>/steps/<name>.js code of any further code steps
+
+const PLACEHOLDER_HEADER = '// Placeholder for workflow code';
+
+// Execution settings of a workflow, kept under `settings` in workflow.json
+const EXECUTION_SETTINGS = ['auto_deploy', 'concurrency', 'timeout_seconds', 'memory_mb'];
+
+async function ensureDir(dirPath) {
+  try {
+    await fs.mkdir(dirPath, { recursive: true });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+}
+
+async function fileExists(filePath) {
+  return fs.access(filePath).then(() => true).catch(() => false);
+}
+
+// Turn a step name into a safe file name
+function stepFileName(stepName) {
+  return `${String(stepName).replace(/[^a-zA-Z0-9_-]+/g, '_')}.js`;
+}
+
+// Stable hash of a remote workflow, used to detect remote changes between pull and push
+function hashWorkflow(remoteData) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = canonical(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(remoteData))).digest('hex');
+}
+
+function isTriggerComponent(component) {
+  return component.type === 'source' ||
+    component.type === 'trigger' ||
+    component.key === 'trigger' ||
+    Boolean(component.source && component.source.type);
+}
+
+// Describe a remote trigger the same way create-workflow records it locally
+function normalizeTrigger(trigger) {
+  const app = trigger.app || (trigger.source && trigger.source.app) || null;
+  const cron = trigger.cron || (trigger.source && trigger.source.cron) || (trigger.options && trigger.options.cron);
+  const endpointUrl = trigger.endpoint_url || trigger.http_url || trigger.url || null;
+  const componentKey = trigger.component_key || (trigger.source && trigger.source.key) || trigger.key || null;
+  const props = trigger.configured_props || (trigger.source && trigger.source.configured_props) || {};
+  const id = trigger.id ? { id: trigger.id } : {};
+
+  if (app === 'http' || endpointUrl) {
+    return {
+      type: 'http',
+      ...id,
+      ...(endpointUrl ? { endpoint_url: endpointUrl } : {})
+    };
+  }
+
+  if (app === 'schedule' || cron) {
+    const cronObject = typeof cron === 'object' && cron !== null ? cron : {};
+    const timezone = cronObject.timezone || trigger.timezone || (trigger.source && trigger.source.timezone) || null;
+
+    return {
+      type: 'schedule',
+      ...id,
+      schedule: typeof cron === 'object' && cron !== null ? cron.cron : cron,
+      ...(timezone ? { timezone } : {})
+    };
+  }
+
+  if (app === 'email' || componentKey === EMAIL_COMPONENT_KEY) {
+    return {
+      type: 'email',
+      ...id,
+      ...(trigger.email_address ? { email_address: trigger.email_address } : {})
+    };
+  }
+
+  if (app === 'rss' || componentKey === RSS_COMPONENT_KEY) {
+    const { url, ...otherProps } = props;
+    return {
+      type: 'rss',
+      ...id,
+      ...(url ? { url } : {}),
+      ...(Object.keys(otherProps).length > 0 ? { props: otherProps } : {})
+    };
+  }
+
+  if (app && componentKey && componentKey !== 'trigger') {
+    return {
+      type: 'app',
+      ...id,
+      app,
+      component_key: componentKey,
+      props
+    };
+  }
+
+  return {
+    type: app || trigger.type || 'unknown',
+    ...id
+  };
+}
+
+function normalizeStep(step, index) {
+  const savedComponent = step.savedComponent || {};
+  const code = savedComponent.code || step.code || null;
+
+  return {
+    name: step.namespace || step.name || step.key || `step_${index + 1}`,
+    type: code ? 'code' : (step.type || 'action'),
+    ...(step.app ? { app: step.app } : {}),
+    ...(step.component_key || savedComponent.key ? { component_key: step.component_key || savedComponent.key } : {}),
+    ...(step.lang ? { lang: step.lang } : {}),
+    props: step.configured_props || step.props || {},
+    code
+  };
+}
+
+// Normalize the response of GET /workflows/{id}. The API returns either
+// separate `triggers`/`steps` arrays or a single `components` array.
+function normalizeWorkflow(remoteData) {
+  const data = remoteData || {};
+  const components = data.components || [];
+  const settings = EXECUTION_SETTINGS.reduce((acc, key) => {
+    if (data.settings && data.settings[key] !== undefined && data.settings[key] !== null) {
+      acc[key] = data.settings[key];
+    }
+    return acc;
+  }, {});
+
+  const triggers = data.triggers || components.filter(isTriggerComponent);
+  const steps = data.steps || components.filter(component => !isTriggerComponent(component));
+
+  return {
+    id: data.id,
+    name: data.name || (data.settings && data.settings.name) || 'Unnamed Workflow',
+    description: data.description || (data.settings && data.settings.description) || '',
+    project_id: data.project_id || null,
+    active: data.active,
+    settings,
+    updated_at: data.updated_at || null,
+    triggers: triggers.map(normalizeTrigger),
+    steps: steps.map(normalizeStep)
+  };
+}
+
+// Normalized HTTP trigger (with its endpoint_url) of a workflow as returned
+// by the API, or null when it has none
+function findHttpTrigger(remoteData) {
+  return normalizeWorkflow(remoteData).triggers.find(trigger => trigger.endpoint_url) || null;
+}
+
+// Webhook URL recorded in workflow.json: the endpoint URL of the HTTP trigger,
+// plus the optional trigger path (Pipedream passes any path below the endpoint
+// on to the workflow)
+function buildWebhookUrl(endpointUrl, triggerPath) {
+  if (!endpointUrl) {
+    return null;
+  }
+
+  return triggerPath
+    ? `${endpointUrl.replace(/\/+$/, '')}/${String(triggerPath).replace(/^\/+/, '')}`
+    : endpointUrl;
+}
+
+// Webhook URLs older versions of create-workflow made up instead of asking the API
+function isGuessedWebhookUrl(url) {
+  return /^https:\/\/(pipedream\.com\/webhooks\/|webhook\.pipedream\.com\/v1\/sources\/)/.test(url || '');
+}
+
+// Replace every occurrence of the source IDs in a JSON-serializable value
+function remapIds(value, idMap) {
+  let json = JSON.stringify(value);
+
+  Object.entries(idMap).forEach(([from, to]) => {
+    if (from && to && from !== to) {
+      json = json.split(from).join(to);
+    }
+  });
+
+  return JSON.parse(json);
+}
+
+// Convert the result of readLocalWorkflow() to the shape of normalizeWorkflow()
+function localToWorkflow({ metadata, steps }) {
+  return {
+    id: metadata.id,
+    name: metadata.name,
+    description: metadata.description || '',
+    project_id: metadata.project_id || null,
+    active: metadata.active,
+    settings: metadata.settings || {},
+    triggers: metadata.triggers || (metadata.trigger ? [metadata.trigger] : []),
+    steps: steps.map(({ code_file: codeFile, ...step }) => ({
+      ...step,
+      props: step.props || {},
+      code: step.code === undefined ? null : step.code
+    }))
+  };
+}
+
+// Convert normalized steps back into the step payload the API expects
+function toApiSteps(steps) {
+  return steps.map(step => ({
+    namespace: step.name,
+    ...(step.app ? { app: step.app } : {}),
+    ...(step.component_key ? { component_key: step.component_key } : {}),
+    ...(step.lang ? { lang: step.lang } : {}),
+    configured_props: step.props || {},
+    ...(step.code ? { code: step.code } : {})
+  }));
+}
+
+async function readWorkflowJson(workflowDir) {
+  const workflowJsonPath = path.join(workflowDir, 'workflow.json');
+
+  if (!await fileExists(workflowJsonPath)) {
+    return null;
+  }
+
+  return JSON.parse(await fs.readFile(workflowJsonPath, 'utf8'));
+}
+
+// Secrets of the .env files of a workflow directory, workflows/ and the
+// project directory
+function readWorkflowSecrets(workflowDir) {
+  const projectDir = path.dirname(path.dirname(path.resolve(workflowDir)));
+  return readLocalSecrets([workflowDir, path.dirname(path.resolve(workflowDir)), projectDir]);
+}
+
+// Trigger fields that hold user configuration, as opposed to what identifies
+// the trigger (type, id, schedule, component_key, ...)
+const TRIGGER_CONFIG_FIELDS = ['url', 'props'];
+
+// Write workflow.json. Step and trigger props (and RSS feed URLs) set to the
+// value of a secret from the .env files of the workflow and project
+// directories are written as {{process.env.NAME}} references instead.
+// Everything else (IDs, trigger type and schedule, settings) is written as
+// is. Returns the names of the replaced variables.
+async function writeWorkflowJson(workflowDir, metadata) {
+  const secrets = await readWorkflowSecrets(workflowDir);
+  const redacted = new Set();
+  const data = { ...metadata };
+
+  const redactFields = (block, fields) => {
+    if (!block || typeof block !== 'object') {
+      return block;
+    }
+    return fields.reduce((copy, field) => {
+      if (block[field] === undefined) {
+        return copy;
+      }
+      const result = redactSecrets(block[field], secrets);
+      result.redacted.forEach(name => redacted.add(name));
+      return { ...copy, [field]: result.data };
+    }, { ...block });
+  };
+
+  if (Array.isArray(metadata.steps)) {
+    data.steps = metadata.steps.map(step => redactFields(step, ['props']));
+  }
+  if (metadata.trigger) {
+    data.trigger = redactFields(metadata.trigger, TRIGGER_CONFIG_FIELDS);
+  }
+  if (Array.isArray(metadata.triggers)) {
+    data.triggers = metadata.triggers.map(trigger => redactFields(trigger, TRIGGER_CONFIG_FIELDS));
+  }
+
+  await ensureDir(workflowDir);
+  await fs.writeFile(
+    path.join(workflowDir, 'workflow.json'),
+    JSON.stringify(data, null, 2)
+  );
+
+  return [...redacted];
+}
+
+// A trigger block of workflow.json as deployed: trigger sources don't resolve
+// {{process.env.NAME}} references, so the ones writeWorkflowJson put in its
+// config get their local values back
+async function restoreTriggerSecrets(workflowDir, trigger) {
+  if (!trigger) {
+    return trigger;
+  }
+
+  const secrets = await readWorkflowSecrets(workflowDir);
+  return TRIGGER_CONFIG_FIELDS.reduce((copy, field) => (
+    trigger[field] === undefined ? copy : { ...copy, [field]: restoreSecrets(trigger[field], secrets) }
+  ), { ...trigger });
+}
+
+// Find the local workflow directory from --workflow-json, --id (under the
+// project directory) or the workflow folder the current directory is in
+async function findWorkflowDir(options) {
+  const cwd = options.cwd || process.cwd();
+
+  if (options.workflowJson) {
+    return path.dirname(path.resolve(cwd, options.workflowJson));
+  }
+
+  const project = await resolveProject(cwd);
+
+  if (options.id) {
+    const projectWorkflowDir = path.join(project.projectDir, 'workflows', options.id);
+    if (await fileExists(path.join(projectWorkflowDir, 'workflow.json'))) {
+      return projectWorkflowDir;
+    }
+  }
+
+  if (await fileExists(path.join(cwd, 'workflow.json'))) {
+    return cwd;
+  }
+
+  return project.workflowDir;
+}
+
+// Read a local workflow directory, including the code of every code step
+async function readLocalWorkflow(workflowDir) {
+  const metadata = await readWorkflowJson(workflowDir);
+
+  if (!metadata) {
+    throw new Error(`workflow.json not found in ${workflowDir}`);
+  }
+
+  // Workflows created by create-workflow or pdcreator have no step list yet;
+  // treat a non-placeholder code.js as their single code step
+  let stepConfigs = metadata.steps;
+  if (!stepConfigs) {
+    const codePath = path.join(workflowDir, 'code.js');
+    const hasCode = await fileExists(codePath) &&
+      !(await fs.readFile(codePath, 'utf8')).startsWith(PLACEHOLDER_HEADER);
+
+    stepConfigs = hasCode ? [{ name: 'code', type: 'code', props: {}, code_file: 'code.js' }] : [];
+  }
+
+  const steps = [];
+  for (const step of stepConfigs) {
+    const localStep = { ...step };
+
+    if (step.code_file) {
+      const codePath = path.join(workflowDir, step.code_file);
+      localStep.code = await fileExists(codePath) ? await fs.readFile(codePath, 'utf8') : null;
+    }
+
+    steps.push(localStep);
+  }
+
+  return { metadata, steps };
+}
+
+// Write a normalized remote workflow into workflows/<id>/, keeping local-only
+// metadata (created_at, trigger path, ...) from an existing workflow.json
+async function writeLocalWorkflow(workflowDir, workflow, extra = {}) {
+  const existing = await readWorkflowJson(workflowDir) || {};
+  const written = [];
+
+  await ensureDir(workflowDir);
+
+  const steps = [];
+  let firstCodeStep = true;
+
+  for (const step of workflow.steps) {
+    const { code, ...stepConfig } = step;
+
+    if (code !== null && code !== undefined) {
+      const codeFile = firstCodeStep ? 'code.js' : path.join('steps', stepFileName(step.name));
+      firstCodeStep = false;
+
+      await ensureDir(path.dirname(path.join(workflowDir, codeFile)));
+      await fs.writeFile(path.join(workflowDir, codeFile), code);
+      written.push(codeFile);
+
+      stepConfig.code_file = codeFile;
+    }
+
+    steps.push(stepConfig);
+  }
+
+  // pdcreator expects a code.js in every workflow directory
+  if (firstCodeStep && !await fileExists(path.join(workflowDir, 'code.js'))) {
+    await fs.writeFile(
+      path.join(workflowDir, 'code.js'),
+      `${PLACEHOLDER_HEADER}\n// Workflow ID: ${workflow.id}\n// Name: ${workflow.name}\n`
+    );
+    written.push('code.js');
+  }
+
+  const trigger = workflow.triggers[0];
+  const metadata = {
+    ...existing,
+    id: workflow.id,
+    name: workflow.name,
+    created_at: existing.created_at || new Date().toISOString(),
+    project_id: workflow.project_id || existing.project_id || extra.project_id,
+    ...(extra.org_id || existing.org_id ? { org_id: extra.org_id || existing.org_id } : {}),
+    description: workflow.description || existing.description || ''
+  };
+
+  if (workflow.active !== undefined) {
+    metadata.active = workflow.active;
+  }
+  if (workflow.settings && Object.keys(workflow.settings).length > 0) {
+    metadata.settings = { ...(existing.settings || {}), ...workflow.settings };
+  }
+
+  if (trigger) {
+    const { endpoint_url: endpointUrl, ...triggerConfig } = trigger;
+    metadata.trigger = { ...(existing.trigger || {}), ...triggerConfig };
+
+    if (endpointUrl) {
+      metadata.webhook_url = buildWebhookUrl(endpointUrl, metadata.trigger.path);
+    }
+  }
+
+  if (workflow.triggers.length > 1) {
+    metadata.triggers = workflow.triggers;
+  }
+
+  metadata.steps = steps;
+
+  if (extra.sync) {
+    metadata.sync = extra.sync;
+  }
+
+  await writeWorkflowJson(workflowDir, metadata);
+  written.unshift('workflow.json');
+
+  return { metadata, written };
+}
+
+// Remove a local workflow directory, or move it to archive/workflows/ in the
+// project directory. Returns the archive path, or null when it was removed.
+async function removeLocalWorkflow(workflowDir, { archive = false, projectDir = path.dirname(path.dirname(workflowDir)) } = {}) {
+  if (!archive) {
+    await fs.rm(workflowDir, { recursive: true, force: true });
+    return null;
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const archiveDir = path.join(projectDir, 'archive', 'workflows', `${path.basename(workflowDir)}-${stamp}`);
+
+  await ensureDir(path.dirname(archiveDir));
+  await fs.rename(workflowDir, archiveDir);
+
+  return archiveDir;
+}
+
+module.exports = {
+  EXECUTION_SETTINGS,
+  ensureDir,
+  fileExists,
+  stepFileName,
+  hashWorkflow,
+  normalizeWorkflow,
+  findHttpTrigger,
+  buildWebhookUrl,
+  isGuessedWebhookUrl,
+  remapIds,
+  localToWorkflow,
+  toApiSteps,
+  findWorkflowDir,
+  readWorkflowJson,
+  writeWorkflowJson,
+  restoreTriggerSecrets,
+  readLocalWorkflow,
+  writeLocalWorkflow,
+  removeLocalWorkflow
+};
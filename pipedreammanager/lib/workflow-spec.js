@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Workflow definitions for create-workflow --from. A spec is a JSON array of
+// objects or a CSV file with a header row; both use the create-workflow
+// option names, in snake_case or camelCase:
+//
+//   [{ "name": "Orders Webhook", "trigger": "http", "trigger_path": "orders" },
+//    { "name": "Nightly Sync", "trigger": "schedule", "schedule": "0 2 * * *" }]
+//
+//   name,trigger,trigger_path
+//   Orders Webhook,http,orders
+
+const SPEC_FIELDS = {
+  name: 'name',
+  description: 'description',
+  template: 'template',
+  trigger: 'trigger',
+  trigger_path: 'triggerPath',
+  triggerPath: 'triggerPath',
+  schedule: 'schedule',
+  timezone: 'timezone',
+  feed_url: 'feedUrl',
+  feedUrl: 'feedUrl',
+  trigger_props: 'triggerProps',
+  triggerProps: 'triggerProps'
+};
+
+// Split CSV text into rows of fields. Supports quoted fields with commas,
+// newlines and doubled quotes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function csvToEntries(text) {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map(fields => columns.reduce((entry, column, index) => {
+    const value = (fields[index] || '').trim();
+    if (value !== '') {
+      entry[column] = value;
+    }
+    return entry;
+  }, {}));
+}
+
+// Read a spec file and return its entries as create-workflow options
+async function readWorkflowSpec(specPath) {
+  let entries;
+  try {
+    const text = await fs.readFile(specPath, 'utf8');
+    entries = path.extname(specPath).toLowerCase() === '.csv' ? csvToEntries(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Could not read workflow spec ${specPath}: ${error.message}`);
+  }
+
+  const file = path.basename(specPath);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError(`${file} must contain a non-empty array of workflow definitions`);
+  }
+
+  const names = new Set();
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ValidationError(`${file}: entry ${index + 1} must be an object`);
+    }
+
+    const unknown = Object.keys(entry).filter(key => !SPEC_FIELDS[key]);
+    if (unknown.length > 0) {
+      throw new ValidationError(`${file}: entry ${index + 1} has unknown field(s) ${unknown.join(', ')}`);
+    }
+
+    const options = Object.entries(entry).reduce((acc, [key, value]) => {
+      acc[SPEC_FIELDS[key]] = value;
+      return acc;
+    }, {});
+
+    if (!options.name) {
+      throw new ValidationError(`${file}: entry ${index + 1} needs a name`);
+    }
+    if (names.has(options.name)) {
+      throw new ValidationError(`${file}: duplicate workflow name "${options.name}"`);
+    }
+    names.add(options.name);
+
+    return options;
+  });
+}
+
+module.exports = {
+  readWorkflowSpec
+};
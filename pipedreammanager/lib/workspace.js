@@ -0,0 +1,142 @@
+const readline = require('readline');
+const { ConfigurationError, PdManagerError } = require('./errors');
+const { findConfigPath, readConfig, writeConfig } = require('./project-config');
+
+// Org IDs looked up in /users/me, cached per API client and requested
+// workspace (name, or '' for the auto-selected one) so a command run asks
+// once no matter how many times it needs the workspace
+const orgCache = new WeakMap();
+
+async function readConfigOrgId(cwd) {
+  const configPath = await findConfigPath(cwd);
+  if (!configPath) {
+    return null;
+  }
+
+  try {
+    const config = await readConfig(configPath);
+    return (config.pipedream && config.pipedream.org_id) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Remember the chosen workspace in config.ini so the picker only shows once
+async function saveConfigOrgId(orgId, cwd) {
+  const configPath = await findConfigPath(cwd);
+  if (!configPath) {
+    return null;
+  }
+
+  const config = await readConfig(configPath);
+  config.pipedream = config.pipedream || {};
+  config.pipedream.org_id = orgId;
+  await writeConfig(configPath, config);
+
+  return configPath;
+}
+
+// Match an --org value against the user's orgs by ID, org name or display name
+function findOrg(orgs, value) {
+  const needle = String(value).toLowerCase();
+  return orgs.find(org =>
+    org.id === value ||
+    (org.orgname && org.orgname.toLowerCase() === needle) ||
+    (org.name && org.name.toLowerCase() === needle)
+  );
+}
+
+function describeOrg(org) {
+  const label = org.name || org.orgname || 'Unnamed workspace';
+  return org.orgname && org.orgname !== label ? `${label} (@${org.orgname}, ${org.id})` : `${label} (${org.id})`;
+}
+
+// The picker writes to stderr so it doesn't end up in --json output
+async function pickOrg(orgs) {
+  console.error('\nYour account belongs to several workspaces:');
+  orgs.forEach((org, index) => {
+    console.error(`${index + 1}. ${describeOrg(org)}`);
+  });
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr
+  });
+
+  try {
+    while (true) {
+      const answer = await new Promise(resolve => rl.question(`Select a workspace [1-${orgs.length}]: `, resolve));
+      const index = parseInt(answer, 10);
+
+      if (index >= 1 && index <= orgs.length) {
+        return orgs[index - 1];
+      }
+
+      console.error('Invalid selection, please try again.');
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+// Resolve the workspace (org) ID to use for API calls. In order of preference:
+// the --org option, PIPEDREAM_ORG_ID, [pipedream] org_id in config.ini, the
+// user's only workspace, or an interactive picker when there are several and
+// the caller allows prompting (options.interactive, set by the CLI).
+async function resolveOrgId(client, options = {}) {
+  const requested = options.org || process.env.PIPEDREAM_ORG_ID || await readConfigOrgId(options.cwd);
+
+  // Org IDs can be used as-is; names need a lookup in the user's orgs
+  if (requested && requested.startsWith('o_')) {
+    return requested;
+  }
+
+  if (!orgCache.has(client)) {
+    orgCache.set(client, new Map());
+  }
+  const cached = orgCache.get(client);
+  const cacheKey = requested || '';
+  if (cached.has(cacheKey)) {
+    return cached.get(cacheKey);
+  }
+
+  const userDetails = await client.getMe();
+
+  if (!userDetails || !userDetails.data || !userDetails.data.id) {
+    throw new PdManagerError('Failed to fetch user details');
+  }
+
+  const orgs = userDetails.data.orgs || [];
+
+  if (orgs.length === 0) {
+    throw new ConfigurationError('No workspace found for the user');
+  }
+
+  let orgId;
+
+  if (requested) {
+    const org = findOrg(orgs, requested);
+    if (!org) {
+      throw new ConfigurationError(`Workspace "${requested}" not found. Available workspaces: ${orgs.map(describeOrg).join(', ')}`);
+    }
+    orgId = org.id;
+  } else if (orgs.length === 1) {
+    orgId = orgs[0].id;
+  } else if (options.interactive && process.stdin.isTTY && process.stderr.isTTY) {
+    orgId = (await pickOrg(orgs)).id;
+
+    const configPath = await saveConfigOrgId(orgId, options.cwd);
+    if (configPath) {
+      console.error(`Saved workspace selection to ${configPath}`);
+    }
+  } else {
+    throw new ConfigurationError(`Multiple workspaces found. Select one with --org or set org_id in config.ini. Available workspaces: ${orgs.map(describeOrg).join(', ')}`);
+  }
+
+  cached.set(cacheKey, orgId);
+  return orgId;
+}
+
+module.exports = {
+  resolveOrgId
+};
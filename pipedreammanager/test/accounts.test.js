@@ -0,0 +1,55 @@
+const { test, after, before } = require('node:test');
+const assert = require('node:assert');
+const { ApiClient } = require('../lib/api-client');
+const { ValidationError } = require('../lib/errors');
+const { verifyAccounts } = require('../lib/accounts');
+const { startStandIn, sendJson } = require('./helpers/stand-in');
+
+const silent = { log() {}, error() {} };
+
+let standIn;
+
+before(async () => {
+  standIn = await startStandIn((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/v1/apps') {
+      // Registry search: "my" only finds apps that merely start with it
+      const slugs = { slack: ['slack', 'slack_bot'], my: ['mysql', 'mystrom'] }[url.searchParams.get('q')] || [];
+      sendJson(res, 200, { data: slugs.map(slug => ({ id: `app_${slug}`, name_slug: slug })) });
+    } else if (url.pathname === '/v1/users/me/accounts') {
+      sendJson(res, 200, { data: [] });
+    } else {
+      sendJson(res, 404, { error: 'not found' });
+    }
+  });
+});
+
+after(() => standIn.close());
+
+function client() {
+  return new ApiClient({ apiKey: 'test-key', baseUrl: standIn.baseUrl });
+}
+
+test('custom components with a dash in their key need no account', async () => {
+  const problems = await verifyAccounts(client(), 'o_1', [{
+    name: 'Orders',
+    steps: [
+      { name: 'custom', type: 'action', component_key: 'my-component', props: {} },
+      { name: 'local', type: 'action', component_key: 'slack-formatter', component_file: 'components/slack-formatter.js', props: {} }
+    ]
+  }], silent);
+
+  assert.deepStrictEqual(problems, []);
+  assert.ok(!standIn.requests.some(request => request.url.startsWith('/v1/users/me/accounts')));
+});
+
+test('registry actions without an account stop the deploy', async () => {
+  await assert.rejects(
+    verifyAccounts(client(), 'o_1', [{
+      name: 'Orders',
+      steps: [{ name: 'notify', type: 'action', component_key: 'slack-send-message', props: {} }]
+    }], silent),
+    (error) => error instanceof ValidationError && /step "notify" uses slack but has no connected account/.test(error.message)
+  );
+});
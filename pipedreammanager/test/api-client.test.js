@@ -0,0 +1,107 @@
+const { test, after, before } = require('node:test');
+const assert = require('node:assert');
+const { ApiClient, ApiError } = require('../lib/api-client');
+const { PdManagerError } = require('../lib/errors');
+const { startStandIn, sendJson } = require('./helpers/stand-in');
+
+let standIn;
+
+before(async () => {
+  standIn = await startStandIn((req, res) => {
+    if (req.url.startsWith('/v1/users/me')) {
+      sendJson(res, 200, { data: { id: 'u_1', orgs: [] } });
+    } else if (req.url.startsWith('/v1/workflows/p_missing')) {
+      sendJson(res, 404, { error: 'not found' });
+    } else if (req.method === 'DELETE') {
+      sendJson(res, 204);
+    } else if (req.url.startsWith('/v1/workflows/p_garbled')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{not json');
+    } else if (req.url.startsWith('/v1/workflows/p_slow')) {
+      // Never answers; the client has to give up
+    } else {
+      sendJson(res, 200, { data: { id: 'p_new' } });
+    }
+  });
+});
+
+after(() => standIn.close());
+
+function client(options = {}) {
+  return new ApiClient({ apiKey: 'test-key', baseUrl: standIn.baseUrl, ...options });
+}
+
+test('sends the API key and JSON body and resolves with the parsed response', async () => {
+  const response = await client().createWorkflow({ project_id: 'proj_1', steps: [] });
+
+  assert.deepStrictEqual(response, { data: { id: 'p_new' } });
+  const request = standIn.requests.at(-1);
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/v1/workflows');
+  assert.strictEqual(request.headers.authorization, 'Bearer test-key');
+  assert.deepStrictEqual(request.body, { project_id: 'proj_1', steps: [] });
+});
+
+test('leaves empty query parameters out', async () => {
+  await client().listSources('o_1', { limit: 10, after: undefined, app: '' });
+
+  assert.strictEqual(standIn.requests.at(-1).url, '/v1/users/me/sources?org_id=o_1&limit=10');
+});
+
+test('trims trailing slashes from the base URL', async () => {
+  await client({ baseUrl: `${standIn.baseUrl}//` }).getMe();
+
+  assert.strictEqual(standIn.requests.at(-1).url, '/v1/users/me');
+});
+
+test('resolves an empty body with an empty object', async () => {
+  assert.deepStrictEqual(await client().deleteWorkflow('p_1', 'o_1'), {});
+});
+
+test('rejects a failed request with an ApiError carrying status and body', async () => {
+  const error = await client().getWorkflow('p_missing', 'o_1').catch(err => err);
+
+  assert.ok(error instanceof ApiError);
+  assert.ok(error instanceof PdManagerError);
+  assert.strictEqual(error.code, 'API_ERROR');
+  assert.strictEqual(error.statusCode, 404);
+  assert.strictEqual(error.body, '{"error":"not found"}');
+  assert.strictEqual(error.method, 'GET');
+  assert.strictEqual(error.endpoint, '/workflows/p_missing?org_id=o_1');
+});
+
+test('rejects a response that is not JSON', async () => {
+  const error = await client().getWorkflow('p_garbled').catch(err => err);
+
+  assert.ok(error instanceof ApiError);
+  assert.strictEqual(error.statusCode, 200);
+  assert.strictEqual(error.body, '{not json');
+  assert.match(error.message, /Failed to parse response/);
+});
+
+test('rejects with an ApiError when the server does not answer in time', async () => {
+  const error = await client({ timeout: 100 }).getWorkflow('p_slow').catch(err => err);
+
+  assert.ok(error instanceof ApiError);
+  assert.strictEqual(error.statusCode, null);
+  assert.strictEqual(error.message, 'Request timed out after 100ms');
+});
+
+test('rejects with an ApiError when the server cannot be reached', async () => {
+  const error = await new ApiClient({ apiKey: 'test-key', baseUrl: 'http://127.0.0.1:1/v1' }).getMe().catch(err => err);
+
+  assert.ok(error instanceof ApiError);
+  assert.strictEqual(error.statusCode, null);
+});
+
+test('masks environment variable values in the verbose log', async (t) => {
+  const logged = [];
+  t.mock.method(console, 'log', message => logged.push(message));
+
+  await client({ verbose: true }).setEnvVar('o_1', 'proj_1', 'STRIPE_KEY', { value: 'sk_live_1234567890', secret: true });
+  t.mock.restoreAll();
+
+  assert.ok(logged.some(message => message.startsWith('Request Body: {"value":"****7890","secret":true}')));
+  assert.ok(!logged.join('\n').includes('sk_live_1234567890'));
+  assert.strictEqual(standIn.requests.at(-1).body.value, 'sk_live_1234567890');
+});
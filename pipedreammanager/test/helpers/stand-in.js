@@ -0,0 +1,50 @@
+const http = require('http');
+
+// Local HTTP stand-in for the Pipedream API. `handler(req, res, body)` answers
+// each request; every request is recorded as { method, url, headers, body }.
+// Resolves with { baseUrl, requests, close() } once the server listens on a
+// free port.
+function startStandIn(handler) {
+  const requests = [];
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      handler(req, res, body);
+    });
+  });
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        // Drop open connections (streams, stalled responses) and stop listening
+        close() {
+          sockets.forEach(socket => socket.destroy());
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+module.exports = {
+  startStandIn,
+  sendJson
+};
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { invoke } = require('../commands/invoke');
+const { startStandIn, sendJson } = require('./helpers/stand-in');
+
+let standIn;
+let projectDir;
+let workflowDir;
+
+before(async () => {
+  standIn = await startStandIn((req, res) => {
+    sendJson(res, 200, { received: true });
+  });
+
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdmanager-invoke-test-'));
+  workflowDir = path.join(projectDir, 'workflows', 'p_1');
+  await fs.mkdir(path.join(workflowDir, 'tests', 'fixtures'), { recursive: true });
+  await fs.writeFile(path.join(projectDir, 'config.ini'), '[project]\nid = proj_1\n');
+  await fs.writeFile(path.join(workflowDir, 'workflow.json'), JSON.stringify({
+    id: 'p_1',
+    name: 'Orders',
+    trigger: { type: 'http' },
+    webhook_url: 'https://eo123.m.pipedream.net/hooks?source=test'
+  }));
+  await fs.writeFile(path.join(workflowDir, 'tests', 'fixtures', 'input.json'), JSON.stringify({
+    method: 'PUT',
+    headers: { 'X-Source': 'fixture' },
+    path: 'orders',
+    body: { order_id: 42 }
+  }));
+});
+
+after(async () => {
+  await standIn.close();
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+test('sends the fixture event to the --base-url server', async () => {
+  const result = await invoke({ cwd: workflowDir, baseUrl: standIn.baseUrl, header: ['X-Run: 1'] });
+
+  const request = standIn.requests.at(-1);
+  assert.strictEqual(request.method, 'PUT');
+  assert.strictEqual(request.url, '/v1/hooks/orders?source=test');
+  assert.strictEqual(request.headers['x-source'], 'fixture');
+  assert.strictEqual(request.headers['x-run'], '1');
+  assert.strictEqual(request.headers['content-type'], 'application/json');
+  assert.deepStrictEqual(request.body, { order_id: 42 });
+
+  assert.strictEqual(result.workflow_id, 'p_1');
+  assert.strictEqual(result.url, `${standIn.baseUrl}/hooks/orders?source=test`);
+  assert.strictEqual(result.response.status, 200);
+  assert.deepStrictEqual(result.response.json, { received: true });
+});
+
+test('--data replaces the fixture', async () => {
+  const data = '{"note":"from --data"}';
+  await invoke({ workflow: 'p_1', cwd: projectDir, baseUrl: standIn.baseUrl, data, method: 'post' });
+
+  const request = standIn.requests.at(-1);
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, '/v1/hooks?source=test');
+  assert.strictEqual(request.headers['content-length'], String(Buffer.byteLength(data)));
+  assert.deepStrictEqual(request.body, { note: 'from --data' });
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { nextRuns, describeNextRuns } = require('../lib/schedule');
+
+const FROM = new Date('2026-03-02T00:00:00Z');
+
+test('evaluates schedules without a timezone in UTC, whatever the local zone', () => {
+  const localZone = process.env.TZ;
+  process.env.TZ = 'Europe/Berlin';
+
+  try {
+    const runs = nextRuns('0 9 * * *', undefined, 2, FROM);
+    assert.deepStrictEqual(runs.map(date => date.toISOString()), ['2026-03-02T09:00:00.000Z', '2026-03-03T09:00:00.000Z']);
+  } finally {
+    if (localZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = localZone;
+    }
+  }
+});
+
+test('evaluates schedules in their timezone', () => {
+  const runs = nextRuns('0 9 * * *', 'America/New_York', 1, FROM);
+
+  assert.strictEqual(runs[0].toISOString(), '2026-03-02T14:00:00.000Z');
+  assert.match(describeNextRuns('0 9 * * *', 'America/New_York', 1)[0], /09:00 America\/New_York$/);
+});
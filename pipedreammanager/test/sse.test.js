@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { readServerSentEvents } = require('../lib/sse');
+
+test('parses messages split across chunks, with ids, event names and multi-line data', async () => {
+  const stream = new PassThrough();
+  const messages = [];
+  const done = readServerSentEvents(stream, message => messages.push(message));
+
+  stream.write(': keep-alive\r\n\r\nid: 7\r\nevent: em');
+  stream.write('it\r\ndata: {"a":\r\ndata: 1}\r\n\r\n');
+  stream.write('data: plain\n\n');
+  stream.end();
+  await done;
+
+  assert.deepStrictEqual(messages, [
+    { id: '7', event: 'emit', data: '{"a":\n1}' },
+    { id: null, event: 'message', data: 'plain' }
+  ]);
+});
+
+test('rejects when the connection drops before the stream ends', async () => {
+  const stream = new PassThrough();
+  const done = readServerSentEvents(stream, () => {});
+
+  stream.write('data: partial\n');
+  stream.destroy();
+
+  await assert.rejects(done, /Connection closed/);
+});
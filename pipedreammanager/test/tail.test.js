@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { tail } = require('../commands/tail');
+const { ApiError } = require('../lib/api-client');
+const { startStandIn, sendJson } = require('./helpers/stand-in');
+
+// Stand-in for the SSE endpoint of source dc_1. Every connection replays the
+// last event the client saw (Last-Event-ID), sends two new ones and drops,
+// except the last, which stays open. The second attempt is refused with a 503.
+let standIn;
+const attempts = [];
+
+function writeEvent(res, n) {
+  const data = { id: `ev${n}`, ts: 1760000000000 + n * 1000, e: { n } };
+  res.write(`id: ${n}\nevent: emit\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+before(async () => {
+  standIn = await startStandIn((req, res) => {
+    if (req.url.startsWith('/v1/sources/dc_denied/sse')) {
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    if (!req.url.startsWith('/v1/sources/dc_1/sse')) {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+
+    const lastEventId = req.headers['last-event-id'] || null;
+    const last = parseInt(lastEventId || '0', 10);
+    attempts.push({ lastEventId, at: Date.now() });
+
+    if (attempts.length === 2) {
+      sendJson(res, 503, { error: 'unavailable' });
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(': ping\n\n');
+    if (last > 0) {
+      writeEvent(res, last);
+    }
+    writeEvent(res, last + 1);
+    writeEvent(res, last + 2);
+
+    if (attempts.length < 4) {
+      setTimeout(() => res.destroy(), 50);
+    }
+  });
+});
+
+after(() => standIn.close());
+
+test('reconnects a dropped source stream with backoff and resumes after the last event', async () => {
+  const events = [];
+  const result = await tail({
+    apiKey: 'test-key',
+    baseUrl: standIn.baseUrl,
+    org: 'o_1',
+    source: 'dc_1',
+    maxEvents: 6,
+    onEvent: event => events.push(event)
+  });
+
+  // No event is lost or repeated across the reconnects
+  assert.deepStrictEqual(events.map(event => event.id), ['ev1', 'ev2', 'ev3', 'ev4', 'ev5', 'ev6']);
+  assert.deepStrictEqual(events[0].trigger_event, { n: 1 });
+  assert.deepStrictEqual(result, { source_id: 'dc_1', events: 6, last_event_id: 'ev6', reconnects: 3 });
+
+  // Each reconnect sends the id of the last event seen
+  assert.deepStrictEqual(attempts.map(attempt => attempt.lastEventId), [null, '2', '2', '4']);
+
+  // The wait starts at a second, doubles while attempts keep failing and
+  // starts over once a connection succeeds
+  const waits = attempts.slice(1).map((attempt, index) => attempt.at - attempts[index].at);
+  assert.ok(waits[0] >= 1000 && waits[0] < 2000, `first retry after ${waits[0]}ms`);
+  assert.ok(waits[1] >= 2000, `retry after a refused attempt after ${waits[1]}ms`);
+  assert.ok(waits[2] >= 1000 && waits[2] < 2000, `retry after a successful connection after ${waits[2]}ms`);
+});
+
+test('stops on errors a retry cannot fix', async () => {
+  const error = await tail({
+    apiKey: 'test-key',
+    baseUrl: standIn.baseUrl,
+    org: 'o_1',
+    source: 'dc_denied',
+    onEvent: () => assert.fail('no events expected')
+  }).catch(err => err);
+
+  assert.ok(error instanceof ApiError);
+  assert.strictEqual(error.statusCode, 401);
+});
+
+test('stops following when the signal aborts', async () => {
+  const controller = new AbortController();
+  const events = [];
+
+  const result = await tail({
+    apiKey: 'test-key',
+    baseUrl: standIn.baseUrl,
+    org: 'o_1',
+    source: 'dc_1',
+    signal: controller.signal,
+    onEvent: (event) => {
+      events.push(event);
+      controller.abort();
+    }
+  });
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(result.events, 1);
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { restoreTriggerSecrets, writeWorkflowJson } = require('../lib/workflow-files');
+
+let projectDir;
+let workflowDir;
+
+before(async () => {
+  projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdmanager-workflow-files-test-'));
+  workflowDir = path.join(projectDir, 'workflows', 'p_1');
+  await fs.mkdir(workflowDir, { recursive: true });
+  await fs.writeFile(path.join(projectDir, '.env'), [
+    'DEFAULT_TRIGGER_TYPE=schedule',
+    'DEFAULT_SCHEDULE="30 12 * * *"',
+    'PIPEDREAM_ORG_ID=o_abcdefgh',
+    'PIPEDREAM_PROJECT_ID=proj_abcdefgh',
+    ''
+  ].join('\n'));
+  await fs.writeFile(path.join(workflowDir, '.env'), 'STRIPE_KEY=sk_live_abc123456\n');
+});
+
+after(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+test('writeWorkflowJson only redacts step props that equal a secret', async () => {
+  const metadata = {
+    id: 'p_1',
+    name: 'Orders',
+    project_id: 'proj_abcdefgh',
+    org_id: 'o_abcdefgh',
+    trigger: { type: 'schedule', schedule: '30 12 * * *' },
+    settings: { concurrency: 1, description: 'Charges with sk_live_abc123456' },
+    steps: [
+      {
+        name: 'charge',
+        type: 'action',
+        props: {
+          apiKey: 'sk_live_abc123456',
+          note: 'uses sk_live_abc123456 inline',
+          schedule: '30 12 * * *',
+          auth: { key: 'sk_live_abc123456' }
+        }
+      },
+      { name: 'code', type: 'code' }
+    ]
+  };
+
+  const redacted = await writeWorkflowJson(workflowDir, metadata);
+  const written = JSON.parse(await fs.readFile(path.join(workflowDir, 'workflow.json'), 'utf8'));
+
+  assert.deepStrictEqual(redacted, ['STRIPE_KEY']);
+  assert.deepStrictEqual(written.steps[0].props, {
+    apiKey: '{{process.env.STRIPE_KEY}}',
+    note: 'uses sk_live_abc123456 inline',
+    schedule: '30 12 * * *',
+    auth: { key: '{{process.env.STRIPE_KEY}}' }
+  });
+  assert.deepStrictEqual(written.steps[1], metadata.steps[1]);
+  assert.deepStrictEqual({ ...written, steps: undefined }, { ...metadata, steps: undefined });
+  assert.strictEqual(metadata.steps[0].props.apiKey, 'sk_live_abc123456');
+});
+
+test('writeWorkflowJson redacts the config of trigger blocks, and push gets it back', async () => {
+  const metadata = {
+    id: 'p_1',
+    name: 'Orders',
+    trigger: {
+      type: 'app',
+      app: 'stripe',
+      component_key: 'stripe-new-payment',
+      props: { stripe: { apiKey: 'sk_live_abc123456' }, livemode: true }
+    },
+    triggers: [
+      { type: 'app', app: 'stripe', component_key: 'stripe-new-payment', props: { stripe: { apiKey: 'sk_live_abc123456' } } },
+      { type: 'rss', url: 'sk_live_abc123456', props: { label: 'sk_live_abc123456 feed' } },
+      { type: 'schedule', schedule: '30 12 * * *' }
+    ],
+    steps: []
+  };
+
+  const redacted = await writeWorkflowJson(workflowDir, metadata);
+  const written = JSON.parse(await fs.readFile(path.join(workflowDir, 'workflow.json'), 'utf8'));
+
+  assert.deepStrictEqual(redacted, ['STRIPE_KEY']);
+  assert.deepStrictEqual(written.trigger, {
+    ...metadata.trigger,
+    props: { stripe: { apiKey: '{{process.env.STRIPE_KEY}}' }, livemode: true }
+  });
+  assert.deepStrictEqual(written.triggers, [
+    { ...metadata.triggers[0], props: { stripe: { apiKey: '{{process.env.STRIPE_KEY}}' } } },
+    { ...metadata.triggers[1], url: '{{process.env.STRIPE_KEY}}' },
+    metadata.triggers[2]
+  ]);
+  assert.ok(!JSON.stringify(written).includes('"sk_live_abc123456"'));
+
+  // Trigger sources don't resolve the references; push deploys the values
+  assert.deepStrictEqual(await restoreTriggerSecrets(workflowDir, written.trigger), metadata.trigger);
+  assert.deepStrictEqual(await restoreTriggerSecrets(workflowDir, written.triggers[1]), metadata.triggers[1]);
+});
+
+test('writeWorkflowJson leaves everything alone without secret variables', async () => {
+  await fs.writeFile(path.join(workflowDir, '.env'), 'SHEET_NAME=quarterly_orders\n');
+
+  const metadata = {
+    id: 'p_1',
+    name: 'Orders',
+    steps: [{ name: 'append', type: 'action', props: { sheet: 'quarterly_orders' } }]
+  };
+
+  const redacted = await writeWorkflowJson(workflowDir, metadata);
+  const written = JSON.parse(await fs.readFile(path.join(workflowDir, 'workflow.json'), 'utf8'));
+
+  assert.deepStrictEqual(redacted, []);
+  assert.deepStrictEqual(written, metadata);
+});
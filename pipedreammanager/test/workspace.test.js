@@ -0,0 +1,43 @@
+const { test, after, before } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { ApiClient } = require('../lib/api-client');
+const { resolveOrgId } = require('../lib/workspace');
+const { startStandIn, sendJson } = require('./helpers/stand-in');
+
+let standIn;
+
+before(async () => {
+  delete process.env.PIPEDREAM_ORG_ID;
+  standIn = await startStandIn((req, res) => {
+    sendJson(res, 200, {
+      data: {
+        id: 'u_1',
+        orgs: [
+          { id: 'o_a', orgname: 'alpha', name: 'Alpha' },
+          { id: 'o_b', orgname: 'beta', name: 'Beta' }
+        ]
+      }
+    });
+  });
+});
+
+after(() => standIn.close());
+
+function client() {
+  return new ApiClient({ apiKey: 'test-key', baseUrl: standIn.baseUrl });
+}
+
+test('resolves each requested workspace separately on one client', async () => {
+  const shared = client();
+  const cwd = os.tmpdir();
+
+  assert.strictEqual(await resolveOrgId(shared, { cwd, org: 'o_a' }), 'o_a');
+  assert.strictEqual(await resolveOrgId(shared, { cwd, org: 'o_b' }), 'o_b');
+  assert.strictEqual(await resolveOrgId(shared, { cwd, org: 'alpha' }), 'o_a');
+  assert.strictEqual(await resolveOrgId(shared, { cwd, org: 'Beta' }), 'o_b');
+  assert.strictEqual(await resolveOrgId(shared, { cwd, org: 'alpha' }), 'o_a');
+
+  // Org IDs need no lookup, and each workspace name is looked up once
+  assert.strictEqual(standIn.requests.filter(request => request.url === '/v1/users/me').length, 2);
+});